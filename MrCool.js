@@ -1,22 +1,122 @@
+const EventEmitter = require('events');
 const querystring = require('querystring');
 const fetch = require('node-fetch');
 const HTMLParser = require('node-html-parser');
 const CryptoJS = require('crypto-js');
 const WebSocket = require('ws');
+const HttpsProxyAgent = require('https-proxy-agent');
+const {
+    MrCoolError,
+    InvalidCredentialsError,
+    SessionExpiredError,
+    UnexpectedResponseError,
+    NetworkError,
+    CommandTimeoutError,
+    InvalidCommandError,
+    DeviceNotFoundError,
+    ConnectionClosedError,
+    InvalidScheduleError,
+    WaitTimeoutError
+} = require('./MrCoolErrors.js');
+const { FileSessionStore } = require('./MrCoolSessionStore.js');
+const { MrCoolScheduler } = require('./MrCoolScheduler.js');
+const { MrCoolThermostat } = require('./MrCoolThermostat.js');
+const { MrCoolHistory } = require('./MrCoolHistory.js');
+const {
+    MemoryHistoryStore,
+    JsonlHistoryStore,
+    CsvHistoryStore
+} = require('./MrCoolHistoryStore.js');
+const { MrCoolMetrics } = require('./MrCoolMetrics.js');
+const { MrCoolMQTTBridge } = require('./MrCoolMQTTBridge.js');
+const { MrCoolGateway } = require('./MrCoolGateway.js');
+const { MrCoolGroup } = require('./MrCoolGroup.js');
+const { MrCoolCapture, redactEntry } = require('./MrCoolCapture.js');
 
 // Constants
 const API_HOST = 'home.cielowigle.com';
 const API_HTTP_PROTOCOL = 'https://';
 const API_WS_PROTOCOL = 'wss://';
 const PING_INTERVAL = 5 * 60 * 1000;
+const REQUEST_TIMEOUT = 30 * 1000;
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+const RECONNECT_FACTOR = 2;
+const COMMAND_TIMEOUT = 10 * 1000;
+const REFRESH_MARGIN = 5 * 60 * 1000;
+const REFRESH_RETRY_DELAY = 60 * 1000;
+const MAX_TIMER_DELAY = 2147483647;
+const COMMAND_FIELDS = ['power', 'mode', 'temp', 'fanspeed', 'swing', 'turbo',
+    'light'];
 const DEFAULT_POWER = 'off';
 const DEFAULT_MODE = 'auto';
 const DEFAULT_FAN = 'auto';
 const DEFAULT_TEMPERATURE = 75;
+const DEFAULT_SWING = 'auto';
+const DEFAULT_TURBO = 'off';
+const DEFAULT_LIGHT = '';
+const APPLICATION_COOKIE = '.AspNet.ApplicationCookie';
+const DEFAULT_DEVICE_NAME = 'chrome';
+const DEFAULT_CAPABILITIES = {
+    'powerStates': ['on', 'off'],
+    'modes': ['auto', 'cool', 'heat', 'dry', 'fan'],
+    'fanSpeeds': ['auto', 'low', 'medium', 'high'],
+    'swingPositions': ['auto', 'adjust', 'pos1', 'pos2', 'pos3', 'pos4',
+        'pos5', 'pos6'],
+    'turboStates': ['on', 'off'],
+    'lightStates': ['on', 'off'],
+    'temperatureUnit': 'F',
+    'temperatureRanges': {
+        'F': {
+            'auto': { 'min': 62, 'max': 86 },
+            'cool': { 'min': 62, 'max': 86 },
+            'heat': { 'min': 62, 'max': 86 },
+            'dry': { 'min': 62, 'max': 86 },
+            'fan': null
+        },
+        'C': {
+            'auto': { 'min': 16, 'max': 30 },
+            'cool': { 'min': 16, 'max': 30 },
+            'heat': { 'min': 16, 'max': 30 },
+            'dry': { 'min': 16, 'max': 30 },
+            'fan': null
+        }
+    }
+};
 
 // Exports
-class MrCoolAPIConnection {
+/**
+ * Connection to the SmartCielo API.
+ * 
+ * Events:
+ * - connected: the socket is open and started, including after a reconnect
+ * - disconnected: the socket was closed, or disconnect finished
+ * - reconnecting (attempt, delay): a reconnection attempt is scheduled
+ * - reconnected (attempts): the connection was re-established
+ * - refreshed: the access token, and the session if it was about to expire,
+ *      were renewed ahead of time
+ * - refreshFailed (error): renewing the access token or session failed, and
+ *      will be tried again
+ * - stateChanged (hvac, previous, next): a subscribed HVAC's state changed,
+ *      where previous and next are objects as returned by MrCoolHVAC.getState
+ * - roomTemperature (hvac, roomTemperature, previous): a subscribed HVAC
+ *      reported its room temperature
+ * - actionReceived (status): the raw status of an actionReceivedAC message
+ * - warning (error): a problem that did not stop the operation, such as
+ *      requested devices that are not on the account
+ * - error (error): an error was encountered outside of a method call
+ */
+class MrCoolAPIConnection extends EventEmitter {
     // Connection information
+    #host;
+    #httpProtocol;
+    #wsProtocol;
+    #fetch;
+    #headers;
+    #timeout;
+    #timeZone;
+    #deviceName;
+    #deviceToken;
     #sessionID;
     #applicationCookies;
     #socketInfo;
@@ -24,6 +124,51 @@ class MrCoolAPIConnection {
     #accessToken;
     #agent;
     #commandCount = 0;
+    #credentials;
+    #pingTimer;
+
+    /**
+     * Commands waiting for the HVAC to confirm them
+     * 
+     * @type {{macAddress: string, changes: any, resolve: function,
+     *      timer: any}[]}
+     */
+    #pendingAcknowledgements = [];
+
+    /**
+     * Commands for each HVAC, keyed by MAC address, that are waiting to be
+     * sent or are in flight
+     * 
+     * @type {Map<string, {running: any, pending: any[]}>}
+     */
+    #commandQueues = new Map();
+
+    // Credential refresh state
+    #refreshOptions;
+    #refreshTimer;
+    #sessionExpiry;
+    #accessExpiry;
+    #accessCredentials;
+    #refreshing = false;
+
+    // Reconnection state
+    #reconnectOptions;
+    #reconnectTimer;
+    #reconnectAttempts = 0;
+    #reconnecting = false;
+
+    /**
+     * Counters and timings for monitoring, see getStatistics
+     * 
+     * @type any
+     */
+    #statistics = {
+        'reconnects': 0,
+        'commandsSent': 0,
+        'commandsFailed': 0,
+        'pingLatency': undefined,
+        'lastHeartbeats': new Map()
+    };
 
     /**
      * WebSocket connection to API
@@ -43,10 +188,50 @@ class MrCoolAPIConnection {
     #commandCallback;
     #temperatureCallback;
     #errorCallback;
+    #reconnectingCallback;
+    #reconnectedCallback;
+
+    /**
+     * Where the session is kept between restarts, if anywhere
+     * 
+     * @type any
+     */
+    #sessionStore;
+
+    /**
+     * Aborted by disconnect to stop requests in flight and keep sockets,
+     * reconnections, and renewals from starting afterwards
+     * 
+     * @type AbortController
+     */
+    #shutdown = new AbortController();
+
+    /**
+     * AbortSignal given to the constructor that disconnects when aborted
+     * 
+     * @type AbortSignal
+     */
+    #signal;
+
+    /**
+     * Capabilities given to every subscribed HVAC
+     * 
+     * @type any
+     */
+    #capabilities;
+
+    /**
+     * Records the traffic, if capturing
+     * 
+     * @type {{record: function}}
+     */
+    #capture;
 
     /**
      * Creates an API connection object that will use the provided callbacks
-     * once created.
+     * once created. The callbacks are optional and the events emitted by the
+     * connection may be used instead, in which case the options may be passed
+     * as the only argument.
      * 
      * @param {function} commandCallback Callback that executes whenever a
      *      command is sent
@@ -54,68 +239,414 @@ class MrCoolAPIConnection {
      *      temperature update is received
      * @param {function} errorCallback Callback that executes whenever an error
      *      is encountered 
+     * @param {any} options Optional settings:
+     *      - host, httpProtocol, and wsProtocol: where to find the API, e.g.
+     *        'localhost:8080', 'http://', and 'ws://' for a local stand-in
+     *      - agent: the http.Agent to make every request and the WebSocket
+     *        connection through
+     *      - proxy: the URL of an HTTP proxy to send everything through,
+     *        used when no agent is given
+     *      - fetch: a fetch implementation to use instead of node-fetch
+     *      - timeout: milliseconds to wait for each request and the WebSocket
+     *        handshake, 30 seconds by default
+     *      - headers: extra headers to send with every request
+     *      - timeZone: the UTC offset sent when logging in, e.g. '-07:00',
+     *        the system's current offset by default
+     *      - deviceName: the client device name sent when logging in,
+     *        'chrome' by default
+     *      - deviceToken: the device token sent when logging in, the ip
+     *        given to establishConnection by default
+     *      - reconnect: set to false to disable automatic reconnection
+     *      - reconnectMinDelay, reconnectMaxDelay, and maxReconnectAttempts
+     *      - reconnectingCallback: called with the attempt number and delay
+     *        before each reconnection attempt
+     *      - reconnectedCallback: called with the number of attempts it took
+     *      - refresh: set to false to disable renewing the access token and
+     *        session before they expire
+     *      - refreshMargin: milliseconds before expiry to renew them, five
+     *        minutes by default, or halfway through if they expire sooner
+     *      - capabilities: overrides for the capabilities of every subscribed
+     *        HVAC, see MrCoolHVAC.getCapabilities
+     *      - sessionStore: keeps the session between restarts so the login
+     *        can be skipped. Either an object with load, save, and clear
+     *        methods, the path of a file to use a FileSessionStore, or true
+     *        to use one with its default file.
+     *      - signal: an AbortSignal that calls disconnect when aborted. Once
+     *        it is, the connection cannot be established again.
+     *      - capture: records every REST exchange and WebSocket frame, with
+     *        credentials, cookies, and tokens redacted. Either an object with
+     *        a record method, or the path of a file to use a MrCoolCapture.
      */
-    constructor(commandCallback, temperatureCallback, errorCallback) {
+    constructor(commandCallback, temperatureCallback, errorCallback,
+        options = {}) {
+        super();
+
+        // Allow the options to be the only argument
+        if (typeof commandCallback === 'object' && commandCallback !== null) {
+            options = commandCallback;
+            commandCallback = undefined;
+        }
+
         this.#commandCallback = commandCallback;
         this.#temperatureCallback = temperatureCallback;
         this.#errorCallback = errorCallback;
+        this.#reconnectingCallback = options.reconnectingCallback;
+        this.#reconnectedCallback = options.reconnectedCallback;
+        this.#capabilities = options.capabilities;
+        this.#capture = typeof options.capture === 'string'
+            ? new MrCoolCapture(options.capture) : options.capture;
+        this.#sessionStore = typeof options.sessionStore === 'string'
+            || options.sessionStore === true
+            ? new FileSessionStore(options.sessionStore === true
+                ? undefined : options.sessionStore)
+            : options.sessionStore || undefined;
+        this.#host = options.host ?? API_HOST;
+        this.#httpProtocol = options.httpProtocol ?? API_HTTP_PROTOCOL;
+        this.#wsProtocol = options.wsProtocol ?? API_WS_PROTOCOL;
+        this.#agent = options.agent ?? (options.proxy !== undefined
+            ? new HttpsProxyAgent(options.proxy) : undefined);
+        this.#fetch = options.fetch ?? fetch;
+        this.#headers = options.headers ?? {};
+        this.#timeout = options.timeout ?? REQUEST_TIMEOUT;
+        this.#timeZone = options.timeZone;
+        this.#deviceName = options.deviceName ?? DEFAULT_DEVICE_NAME;
+        this.#deviceToken = options.deviceToken;
+        this.#refreshOptions = {
+            'enabled': options.refresh !== false,
+            'margin': options.refreshMargin ?? REFRESH_MARGIN
+        };
+        this.#reconnectOptions = {
+            'enabled': options.reconnect !== false,
+            'minDelay': options.reconnectMinDelay ?? RECONNECT_MIN_DELAY,
+            'maxDelay': options.reconnectMaxDelay ?? RECONNECT_MAX_DELAY,
+            'maxAttempts': options.maxReconnectAttempts ?? Infinity
+        };
+        this.#signal = options.signal;
+        if (this.#signal !== undefined) {
+            this.#signal.addEventListener('abort', () => this.disconnect(),
+                { 'once': true });
+        }
     }
 
     // Connection methods
+    /**
+     * Lists every device on the account.
+     * 
+     * @returns {Promise<{deviceName: string, macAddress: string,
+     *      applianceID: number, fwVersion: string, online: boolean}[]>} A
+     *      Promise containing the devices
+     */
+    async listDevices() {
+        const deviceInfo = await this.#getDeviceInfo(
+            await this.#getCurrentAccessCredentials());
+        return deviceInfo.data.listDevices.map((device) => ({
+            'deviceName': device.deviceName,
+            'macAddress': device.macAddress,
+            'applianceID': device.applianceID,
+            'fwVersion': device.fwVersion,
+            'online': device.deviceStatus === 1 || device.deviceStatus === true
+        }));
+    }
+
     /**
      * Creates the hvacs array using the provided macAddresses and establishes
      * the WebSockets connection to the API to receive updates.
      * 
-     * @param {string[]} macAddresses MAC addresses of desired HVACs
+     * @param {string[]} macAddresses MAC addresses of desired HVACs. Every
+     *      device on the account is subscribed to if left out.
+     * @param {any} options Optional settings. Set strict to true to reject
+     *      with a DeviceNotFoundError if any of the MAC addresses are not on
+     *      the account, instead of emitting it as a warning.
      * @returns {Promise<void>} A Promise containing nothing if resolved, error
      *      if an error occurs establishing the WebSocket connection
      */
-    async subscribeToHVACs(macAddresses) {
-        // Clear the array of any previously subscribed HVACs
+    async subscribeToHVACs(macAddresses, options = {}) {
+        this.#open();
+
+        // Clear the array of any previously subscribed HVACs, which no
+        // longer receive updates
+        const previous = this.hvacs;
         this.hvacs = [];
         this.#commandCount = 0;
+        previous.forEach((hvac) => hvac.emit('disconnected'));
 
         // Get the initial information on all devices
         const deviceInfo = await this.#getDeviceInfo(
-            await this.#getAccessCredentials());
+            await this.#getCurrentAccessCredentials());
 
-        // Ensure the request was successful
-        if (deviceInfo.error) return Promise.reject(deviceInfo.error);
+        // Report requested devices that are not on the account
+        const devices = deviceInfo.data.listDevices;
+        const missing = (macAddresses || []).filter((macAddress) =>
+            !devices.some((device) => device.macAddress === macAddress));
+        if (missing.length) {
+            const error = new DeviceNotFoundError('Devices not found on the '
+                + 'account: ' + missing.join(', '), missing);
+            if (options.strict) throw error;
+            this.emit('warning', error);
+        }
 
         // Extract the relevant HVACs from the results
-        for (const device of deviceInfo.data.listDevices) {
-            if (macAddresses.includes(device.macAddress)) {
-                let hvac = new MrCoolHVAC(device.macAddress, device.deviceName,
-                    device.applianceID, device.fwVersion);
-                hvac.updateState(device.latestAction.power,
-                    device.latestAction.temp, device.latestAction.mode,
-                    device.latestAction.fanspeed);
-                hvac.updateRoomTemperature(device.latEnv.temp);
-                this.hvacs.push(hvac);
+        for (const device of devices) {
+            if (macAddresses === undefined
+                || macAddresses.includes(device.macAddress)) {
+                this.hvacs.push(this.#createHVAC(device));
             }
         }
 
+        // Replace the socket of any previous subscription
+        clearTimeout(this.#reconnectTimer);
+        this.#reconnectTimer = undefined;
+        await this.#closeSocket();
+
         // Establish the WebSocket connection
         return this.#connect();
     }
 
+    /**
+     * Finds a subscribed HVAC by MAC address or, ignoring case, by name
+     * 
+     * @param {string} unit The MAC address or name
+     * @returns {MrCoolHVAC} The HVAC, or undefined if none matches
+     */
+    getHVAC(unit) {
+        const search = String(unit).toLowerCase();
+        return this.hvacs.find((hvac) =>
+            hvac.getMacAddress().toLowerCase() === search)
+            ?? this.hvacs.find((hvac) =>
+                String(hvac.getDeviceName()).toLowerCase() === search);
+    }
+
+    /**
+     * Returns counters and timings for monitoring the connection
+     * 
+     * @returns {{connected: boolean, reconnects: number,
+     *      commandsSent: number, commandsFailed: number, pingLatency: number,
+     *      lastHeartbeats: any}} Whether the socket is open, the number of
+     *      successful reconnections, the command frames sent and commands
+     *      that failed or were never confirmed, even if they were not waited
+     *      for, the milliseconds the last ping took, if any, and the
+     *      time of the last heartbeat from each unit, keyed by MAC address
+     */
+    getStatistics() {
+        return {
+            'connected': this.#ws !== undefined
+                && this.#ws.readyState === WebSocket.OPEN,
+            'reconnects': this.#statistics.reconnects,
+            'commandsSent': this.#statistics.commandsSent,
+            'commandsFailed': this.#statistics.commandsFailed,
+            'pingLatency': this.#statistics.pingLatency,
+            'lastHeartbeats': Object.fromEntries(
+                this.#statistics.lastHeartbeats)
+        };
+    }
+
+    /**
+     * Feeds a captured session back into the message handler, so the
+     * updates it received can be reproduced offline. Nothing is sent. If no
+     * HVACs are subscribed, the ones in the capture's initsubscription
+     * response are created first, with a warning if it has none. Frames that
+     * are not valid JSON are skipped with a warning.
+     * 
+     * @param {string|any[]} capture The path of a capture file, or its
+     *      entries
+     * @param {any} options Optional settings. Set macAddresses to the HVACs
+     *      to create from the capture, every one in it by default.
+     * @returns {Promise<number>} A Promise containing the number of frames
+     *      replayed
+     */
+    async replay(capture, options = {}) {
+        const entries = typeof capture === 'string'
+            ? await MrCoolCapture.load(capture) : capture;
+
+        if (!this.hvacs.length) {
+            const subscription = entries.find((entry) =>
+                entry.type === 'body'
+                && String(entry.url).includes('/api/device/initsubscription'));
+
+            // Frames are still replayed without it, though no HVAC is updated
+            let devices = [];
+            try {
+                devices = JSON.parse(subscription.body).data.listDevices;
+                if (!Array.isArray(devices)) throw new TypeError();
+            } catch (error) {
+                devices = [];
+                this.emit('warning', new UnexpectedResponseError('The '
+                    + 'capture has no readable subscription response, so no '
+                    + 'HVACs were created.', '/api/device/initsubscription'));
+            }
+            devices.filter((device) => options.macAddresses === undefined
+                || options.macAddresses.includes(device.macAddress))
+                .forEach((device) =>
+                    this.hvacs.push(this.#createHVAC(device)));
+        }
+
+        const frames = entries.filter((entry) => entry.type === 'received');
+        frames.forEach((entry) => this.#handleMessage(entry.data));
+        return frames.length;
+    }
+
+    /**
+     * Closes the connection: stops pinging, reconnecting, and renewing the
+     * session, closes the WebSocket connection, and rejects every command
+     * still queued or waiting for confirmation with a ConnectionClosedError.
+     * Emits disconnected once the socket is closed. The connection can be
+     * opened again with establishConnection and subscribeToHVACs.
+     * 
+     * @returns {Promise<void>} A Promise containing nothing once closed
+     */
+    async disconnect() {
+        this.#shutdown.abort();
+        clearTimeout(this.#reconnectTimer);
+        this.#reconnectTimer = undefined;
+        this.#reconnectAttempts = 0;
+        clearTimeout(this.#refreshTimer);
+        this.#refreshTimer = undefined;
+
+        // Commands being sent fail once their confirmation is rejected
+        const error = new ConnectionClosedError('The connection was closed '
+            + 'before the command was confirmed.', 'broadcastActionAC');
+        this.#commandQueues.forEach((queue) => {
+            queue.pending.splice(0).forEach((command) =>
+                command.callers.forEach(({ reject }) => reject(error)));
+        });
+        this.#pendingAcknowledgements.slice()
+            .forEach((pending) => pending.reject(error));
+
+        await this.#closeSocket();
+        this.emit('disconnected');
+        this.hvacs.forEach((hvac) => hvac.emit('disconnected'));
+    }
+
+    /**
+     * Creates an HVAC from a device returned by initsubscription that
+     * forwards its events along with itself
+     * 
+     * @param {any} device The device
+     * @returns {MrCoolHVAC}
+     */
+    #createHVAC(device) {
+        const hvac = new MrCoolHVAC(device.macAddress, device.deviceName,
+            device.applianceID, device.fwVersion, this.#capabilities);
+        this.#updateFromAction(hvac, device.latestAction);
+        hvac.updateRoomTemperature(device.latEnv.temp);
+
+        // Forward the HVAC's events along with the HVAC itself
+        hvac.on('stateChanged', (previous, next) => {
+            this.emit('stateChanged', hvac, previous, next);
+        });
+        hvac.on('roomTemperature', (roomTemperature, previous) => {
+            this.emit('roomTemperature', hvac, roomTemperature, previous);
+        });
+        return hvac;
+    }
+
+    /**
+     * Records an entry of the traffic, redacted, if capturing. Failures to
+     * record are emitted as warnings.
+     * 
+     * @param {any} entry The entry, see MrCoolCapture
+     */
+    #tap(entry) {
+        if (this.#capture === undefined) return;
+        const credentials = this.#credentials ?? {};
+        const secrets = [credentials.username, credentials.password,
+            this.#sessionID, this.#userID, this.#accessToken,
+            this.#socketInfo?.ConnectionToken].concat(
+            String(this.#applicationCookies ?? '').split(';').map((cookie) =>
+                cookie.slice(cookie.indexOf('=') + 1)));
+        try {
+            Promise.resolve(this.#capture.record(redactEntry(Object.assign(
+                { 'time': Date.now() }, entry), secrets)))
+                .catch((error) => this.emit('warning', error));
+        } catch (error) {
+            this.emit('warning', error);
+        }
+    }
+
+    /**
+     * Allows the connection to be used again after disconnect, unless the
+     * AbortSignal given to the constructor was aborted.
+     */
+    #open() {
+        if (this.#signal !== undefined && this.#signal.aborted) {
+            throw new ConnectionClosedError('The connection was aborted.');
+        }
+        if (this.#shutdown.signal.aborted) {
+            this.#shutdown = new AbortController();
+        }
+    }
+
+    /**
+     * Stops pinging and closes the WebSocket connection without reconnecting.
+     * 
+     * @returns {Promise<void>} A Promise containing nothing once the socket
+     *      is closed
+     */
+    async #closeSocket() {
+        this.#stopPinging();
+        const ws = this.#ws;
+        this.#ws = undefined;
+        if (ws === undefined || ws.readyState === WebSocket.CLOSED) return;
+
+        // The close handler ignores sockets that are no longer current
+        const closed = new Promise((resolve) => ws.once('close', resolve));
+        ws.close();
+        await closed;
+    }
+
     /**
      * Obtains authentication and socket connection information from the API.
+     * A session kept in the session store is resumed instead of logging in
+     * while the API still accepts it.
      * 
      * @param {string} username The username to login with 
      * @param {string} password The password for the provided username
-     * @param {string} ip The public IP address of the network the HVACs are on
-     * @param {string} agent Optional parameter specifying the agent type to
-     *      identify as during the request
+     * @param {string} ip Optional public IP address of the network the HVACs
+     *      are on, sent as the device token unless the deviceToken option is
+     *      given
+     * @param {http.Agent} agent Optional agent to make requests through,
+     *      replacing the agent given to the constructor
      * @returns {Promise<void>} A Promise containing nothing if resolved, and
-     *      an error if one occurs during authentication
+     *      an error if one occurs during authentication. Rejects with an
+     *      InvalidCredentialsError if the username or password is wrong, a
+     *      NetworkError if the API cannot be reached, and an
+     *      UnexpectedResponseError or SessionExpiredError if a later step of
+     *      the login fails.
      */
     async establishConnection(username, password, ip, agent) {
-        // TODO: Add ability to recognize authentication failure
-        
-        // Perform initial authentication
-        this.#applicationCookies = await this.#getApplicationCookies(username,
-            password, ip);
+        // Remember the credentials so the session can be re-established if
+        // the connection drops and the cookies have expired
+        this.#open();
+        this.#credentials = { username, password, ip, agent };
+        if (agent !== undefined) {
+            this.#agent = agent;
+        }
+
+        if (await this.#restoreSession()) return;
+        return this.#login();
+    }
+    
+    /**
+     * Runs the full login chain with the stored credentials and keeps the
+     * new session in the session store.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #login() {
+        const { username, password, ip } = this.#credentials;
+
+        // Perform initial authentication, forgetting the stored session if
+        // the credentials no longer work
+        this.#accessCredentials = undefined;
+        try {
+            this.#applicationCookies = await this.#getApplicationCookies(
+                username, password, ip);
+        } catch (error) {
+            if (error instanceof InvalidCredentialsError) {
+                await this.#clearSession();
+            }
+            throw error;
+        }
         const [appUser, sessionID] = await this.#getAppUserAndSessionId();
 
         // Save the results
@@ -123,17 +654,113 @@ class MrCoolAPIConnection {
         this.#userID = appUser.userID;
         this.#accessToken = appUser.accessToken;
         this.#socketInfo = await this.#negotiateSocketInfo();
+        this.#scheduleRefresh();
+        await this.#saveSession();
+    }
 
-        return Promise.resolve();
+    /**
+     * Returns the key the session is kept under in the session store
+     * 
+     * @returns {string}
+     */
+    #getSessionKey() {
+        return this.#host + '/' + this.#credentials.username.toLowerCase();
     }
-    
+
     /**
+     * Resumes the session kept in the session store, if there is one and the
+     * API still accepts it.
      * 
-     * @returns 
+     * @returns {Promise<boolean>} A Promise containing whether the session
+     *      was resumed
+     */
+    async #restoreSession() {
+        if (this.#sessionStore === undefined) return false;
+
+        let session;
+        try {
+            session = await this.#sessionStore.load(this.#getSessionKey());
+        } catch (error) {
+            this.emit('warning', error);
+            return false;
+        }
+        if (!session || !session.cookies || !session.sessionID
+            || (session.sessionExpiry !== undefined
+                && session.sessionExpiry - this.#refreshOptions.margin
+                    <= Date.now())) {
+            return false;
+        }
+
+        this.#accessCredentials = undefined;
+        this.#applicationCookies = session.cookies;
+        this.#sessionID = session.sessionID;
+        this.#userID = session.userID;
+        this.#accessToken = session.accessToken;
+        this.#sessionExpiry = session.sessionExpiry;
+        try {
+            // Negotiating fails if the session is no longer accepted
+            this.#socketInfo = await this.#negotiateSocketInfo();
+        } catch (error) {
+            if (!(error instanceof SessionExpiredError)) throw error;
+            this.#sessionExpiry = undefined;
+            await this.#clearSession();
+            return false;
+        }
+        this.#scheduleRefresh();
+        return true;
+    }
+
+    /**
+     * Keeps the current session in the session store. Failing to store it is
+     * only reported as a warning since the connection works without it.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #saveSession() {
+        if (this.#sessionStore === undefined) return;
+
+        try {
+            await this.#sessionStore.save(this.#getSessionKey(), {
+                'cookies': this.#applicationCookies,
+                'sessionID': this.#sessionID,
+                'userID': this.#userID,
+                'accessToken': this.#accessToken,
+                'sessionExpiry': this.#sessionExpiry
+            });
+        } catch (error) {
+            this.emit('warning', error);
+        }
+    }
+
+    /**
+     * Removes the session from the session store, once the API no longer
+     * accepts it. Failing to remove it is only reported as a warning.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #clearSession() {
+        if (this.#sessionStore === undefined) return;
+
+        try {
+            await this.#sessionStore.clear(this.#getSessionKey());
+        } catch (error) {
+            this.emit('warning', error);
+        }
+    }
+
+    /**
+     * Opens the WebSockets connection to the API and starts it once open.
+     * 
+     * @returns {Promise<void>} A Promise containing nothing if resolved, and
+     *      an error if the socket could not be opened and started
      */
     async #connect() {
+        if (this.#shutdown.signal.aborted) {
+            throw new ConnectionClosedError('The connection was closed.');
+        }
+
         // Establish the WebSockets connection
-        const connectUrl = new URL(API_WS_PROTOCOL + API_HOST
+        const connectUrl = new URL(this.#wsProtocol + this.#host
             + '/signalr/connect');
         connectUrl.search = querystring.stringify({
             'transport': 'webSockets',
@@ -144,69 +771,343 @@ class MrCoolAPIConnection {
         });
         const connectPayload = {
             'agent': this.#agent,
-            'headers': {
+            'headers': Object.assign({}, this.#headers, {
                 'Cookie': this.#applicationCookies
-            }
+            }),
+            'handshakeTimeout': this.#timeout
         };
-        this.#ws = new WebSocket(connectUrl, connectPayload);
+        const ws = new WebSocket(connectUrl, connectPayload);
+        this.#ws = ws;
+        let opened = false;
+        this.#tap({ 'type': 'open', 'url': connectUrl.href,
+            'headers': connectPayload.headers });
 
-        // Start the socket when opened
-        this.#ws.on('open', () => {
-            this.#startSocket();
-        });
+        // Provide notification when an open connection is closed, and try to
+        // get it back. Sockets that were replaced are closed on purpose.
+        ws.on('close', () => {
+            this.#tap({ 'type': 'close', 'url': connectUrl.href });
+            if (!opened || ws !== this.#ws) return;
+            this.#stopPinging();
+            this.emit('disconnected');
+            this.hvacs.forEach((hvac) => hvac.emit('disconnected'));
 
-        // Provide notification to the error callback when the connection is
-        // closed
-        this.#ws.on('close', () => {
-            this.#errorCallback(new Error('Connection Closed.'));
+            // The error callback predates the disconnected event, so closing
+            // is only reported as an error there
+            if (this.#errorCallback !== undefined) {
+                this.#errorCallback(new Error('Connection Closed.'));
+            }
+            if (!this.#reconnecting) {
+                this.#scheduleReconnect();
+            }
         });
 
         // Subscribe to status updates
-        this.#ws.on('message', (message) => {
-            const data = JSON.parse(message);
-            if (data.M && Array.isArray(data.M) && data.M.length && data.M[0].M
-                && data.M[0].A && Array.isArray(data.M[0].A)
-                && data.M[0].A.length) {
-                const method = data.M[0].M;
-                const status = data.M[0].A[0];
-                switch (method) {
-                    case 'actionReceivedAC':
-                        this.hvacs.forEach((hvac, index) => {
-                            if (hvac.getMacAddress() === status.macAddress) {
-                                this.hvacs[index].updateState(status.power,
-                                    status.temp, status.mode, status.fanspeed);
-                            }
-                        });
-                        if (this.#commandCallback !== undefined) {
-                            this.#commandCallback(status);
+        ws.on('message', (message) => {
+            this.#tap({ 'type': 'received', 'data': String(message) });
+            this.#handleMessage(message);
+        });
+
+        // Return a promise to notify the user when the socket is open and
+        // started, or failed to get there
+        return new Promise((resolve, reject) => {
+            ws.on('open', async () => {
+                try {
+                    await this.#startSocket();
+                } catch (error) {
+                    reject(error);
+                    ws.terminate();
+                    return;
+                }
+
+                // Only a started socket is reconnected once it closes, since
+                // a failure before then is already reported to the caller
+                if (ws.readyState !== WebSocket.OPEN) {
+                    if (ws === this.#ws) this.#stopPinging();
+                    reject(new ConnectionClosedError('The socket closed '
+                        + 'before it was started.', '/signalr/start'));
+                    return;
+                }
+                opened = true;
+                resolve();
+                this.emit('connected');
+            });
+
+            // Provide notification when an error occurs after the socket is
+            // open
+            ws.on('error', (err) => {
+                if (opened) {
+                    this.#reportError(err);
+                } else {
+                    reject(err);
+                }
+            });
+        });
+    }
+
+    /**
+     * Handles a frame received over the socket, updating the HVACs and
+     * notifying listeners
+     * 
+     * @param {string} message The frame
+     */
+    #handleMessage(message) {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            this.emit('warning', new UnexpectedResponseError('Skipped a '
+                + 'message that was not valid JSON.', '/signalr/connect'));
+            return;
+        }
+        if (data.M && Array.isArray(data.M) && data.M.length && data.M[0].M
+            && data.M[0].A && Array.isArray(data.M[0].A)
+            && data.M[0].A.length) {
+            const method = data.M[0].M;
+            const status = data.M[0].A[0];
+            switch (method) {
+                case 'actionReceivedAC':
+                    this.hvacs.forEach((hvac, index) => {
+                        if (hvac.getMacAddress() === status.macAddress) {
+                            this.#updateFromAction(this.hvacs[index],
+                                status);
                         }
-                        break;
-                    case 'HeartBeatPerformed':
-                        this.hvacs.forEach((hvac, index) => {
-                            if (hvac.getMacAddress() === status.macAddress) {
-                                this.hvacs[index].updateRoomTemperature(
-                                    status.roomTemperature);
-                            }
-                        });
-                        if (this.#temperatureCallback !== undefined) {
-                            this.#temperatureCallback(status.roomTemperature);
+                    });
+                    this.#acknowledgeCommands(status);
+                    if (this.#commandCallback !== undefined) {
+                        this.#commandCallback(status);
+                    }
+                    this.emit('actionReceived', status);
+                    break;
+                case 'HeartBeatPerformed':
+                    this.#statistics.lastHeartbeats.set(status.macAddress,
+                        Date.now());
+                    this.hvacs.forEach((hvac, index) => {
+                        if (hvac.getMacAddress() === status.macAddress) {
+                            this.hvacs[index].updateRoomTemperature(
+                                status.roomTemperature);
                         }
-                        break;
+                    });
+                    if (this.#temperatureCallback !== undefined) {
+                        this.#temperatureCallback(status.roomTemperature);
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Schedules a reconnection attempt using exponential backoff with jitter.
+     * Does nothing if reconnection is disabled or an attempt is already
+     * pending.
+     */
+    #scheduleReconnect() {
+        if (!this.#reconnectOptions.enabled || this.#reconnectTimer
+            || this.#socketInfo === undefined
+            || this.#shutdown.signal.aborted) {
+            return;
+        }
+
+        // Give up once the attempt limit is hit
+        if (this.#reconnectAttempts >= this.#reconnectOptions.maxAttempts) {
+            this.#reportError(new Error('Reconnection failed after '
+                + this.#reconnectAttempts + ' attempts.'));
+            this.hvacs.forEach((hvac) => hvac.emit('disconnected'));
+            return;
+        }
+        const attempt = ++this.#reconnectAttempts;
+
+        // Wait somewhere between half and all of the backoff delay
+        const backoff = Math.min(this.#reconnectOptions.maxDelay,
+            this.#reconnectOptions.minDelay
+            * Math.pow(RECONNECT_FACTOR, attempt - 1));
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        if (this.#reconnectingCallback !== undefined) {
+            this.#reconnectingCallback(attempt, delay);
+        }
+        this.emit('reconnecting', attempt, delay);
+        this.#reconnectTimer = setTimeout(() => {
+            this.#reconnectTimer = undefined;
+            this.#reconnect();
+        }, delay);
+    }
+
+    /**
+     * Re-negotiates and re-opens the WebSockets connection, logging in again
+     * if the existing session is no longer accepted, and refreshes the state
+     * of the subscribed HVACs once connected.
+     * 
+     * @returns {Promise<void>} A Promise containing nothing. Failures are
+     *      reported to the error callback and another attempt is scheduled.
+     */
+    async #reconnect() {
+        this.#reconnecting = true;
+        try {
+            try {
+                this.#socketInfo = await this.#negotiateSocketInfo();
+            } catch (error) {
+                if (!(error instanceof SessionExpiredError)) throw error;
+
+                // The session has expired, so log in again
+                await this.#login();
+            }
+            await this.#connect();
+            await this.#refreshHVACs();
+        } catch (error) {
+            this.#reconnecting = false;
+            if (this.#shutdown.signal.aborted) return;
+
+            // Close the socket this attempt opened so the next one does not
+            // leave it behind
+            await this.#closeSocket();
+            this.#reportError(error);
+
+            // Retrying with a rejected password would only risk locking the
+            // account
+            if (!(error instanceof InvalidCredentialsError)) {
+                this.#scheduleReconnect();
+            }
+            return;
+        }
+        this.#reconnecting = false;
+
+        // Report how long it took and start the backoff over
+        const attempts = this.#reconnectAttempts;
+        this.#reconnectAttempts = 0;
+        this.#statistics.reconnects++;
+        if (this.#reconnectedCallback !== undefined) {
+            this.#reconnectedCallback(attempts);
+        }
+        this.emit('reconnected', attempts);
+    }
+
+    /**
+     * Updates the state of the subscribed HVACs using the latest information
+     * from the API.
+     * 
+     * @returns {Promise<void>} A Promise containing nothing if resolved, and
+     *      an error if the device information could not be retrieved
+     */
+    async #refreshHVACs() {
+        const deviceInfo = await this.#getDeviceInfo(
+            await this.#getCurrentAccessCredentials());
+        for (const device of deviceInfo.data.listDevices) {
+            const hvac = this.hvacs.find((hvac) =>
+                hvac.getMacAddress() === device.macAddress);
+            if (hvac !== undefined) {
+                this.#updateFromAction(hvac, device.latestAction);
+                hvac.updateRoomTemperature(device.latEnv.temp);
+            }
+        }
+    }
+
+    /**
+     * Schedules renewing the access token and session shortly before the
+     * first of them expires, replacing any previously scheduled renewal.
+     * 
+     * @param {number} delay Optional delay to use instead, in milliseconds
+     */
+    #scheduleRefresh(delay) {
+        clearTimeout(this.#refreshTimer);
+        this.#refreshTimer = undefined;
+        if (!this.#refreshOptions.enabled || this.#shutdown.signal.aborted) {
+            return;
+        }
+
+        if (delay === undefined) {
+            const expiries = [this.#sessionExpiry, this.#accessExpiry]
+                .filter((expiry) => expiry !== undefined);
+            if (!expiries.length) return;
+
+            // Lifetimes shorter than the margin renew halfway through, and
+            // ones already over wait to try again, so they never renew in a
+            // loop
+            const remaining = Math.min(...expiries) - Date.now();
+            delay = remaining > 0
+                ? Math.max(remaining - this.#refreshOptions.margin,
+                    remaining / 2)
+                : REFRESH_RETRY_DELAY;
+        }
+        this.#refreshTimer = setTimeout(() => {
+            this.#refreshTimer = undefined;
+            this.#refreshCredentials();
+        }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+
+        // Renewal alone should not keep the process alive
+        this.#refreshTimer.unref();
+    }
+
+    /**
+     * Renews the access token, logging in again and moving the socket to the
+     * new session if the session is about to expire or no longer accepted.
+     * Failures are reported with the refreshFailed event and tried again
+     * later.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #refreshCredentials() {
+        // A reconnection logs in again by itself
+        if (this.#reconnecting || this.#reconnectTimer || this.#refreshing) {
+            this.#scheduleRefresh(REFRESH_RETRY_DELAY);
+            return;
+        }
+
+        this.#refreshing = true;
+        try {
+            const sessionDue = this.#sessionExpiry !== undefined
+                && this.#sessionExpiry - this.#refreshOptions.margin
+                <= Date.now();
+            if (sessionDue) {
+                await this.#renewSession();
+            } else {
+                try {
+                    await this.#getAccessCredentials();
+                } catch (error) {
+                    if (!(error instanceof SessionExpiredError)) throw error;
+                    await this.#renewSession();
                 }
             }
-        });
+        } catch (error) {
+            this.#refreshing = false;
+            if (this.#shutdown.signal.aborted) return;
+            this.emit('refreshFailed', error);
+            this.#reportError(error);
+            this.#scheduleRefresh(REFRESH_RETRY_DELAY);
+            return;
+        }
+        this.#refreshing = false;
+        this.emit('refreshed');
+    }
 
-        // Provide notification to the error callback when an error occurs
-        this.#ws.on('error', (err) => {
-            this.#errorCallback(err);
-        });
+    /**
+     * Logs in again, gets a new access token, and, if the socket is open,
+     * moves it to the new session.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #renewSession() {
+        await this.#login();
+        await this.#getAccessCredentials();
 
-        // Return a promise to notify the user when the socket is open
-        return new Promise((resolve) => {
-            this.#ws.on('open', () => {
-                resolve();
-            });
-        })
+        // Open the new socket before closing the old one so no updates are
+        // missed
+        const previous = this.#ws;
+        if (previous === undefined
+            || previous.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        try {
+            await this.#connect();
+        } catch (error) {
+            // A disconnect while the new socket was opening leaves the old
+            // one to close
+            if (this.#shutdown.signal.aborted) {
+                previous.close();
+            } else {
+                this.#ws = previous;
+            }
+            throw error;
+        }
+        previous.close();
     }
 
     // API Calls
@@ -216,25 +1117,59 @@ class MrCoolAPIConnection {
      * 
      * @param {string} username The username to login with 
      * @param {string} password The password for the provided username
-     * @param {string} ip The public IP address of the network the HVACs are on
+     * @param {string} ip The public IP address of the network the HVACs are
+     *      on, if given
      * @returns {Promise<string>} The relevant cookies from the login request
      */
     async #getApplicationCookies(username, password, ip) {
-        const loginUrl = new URL(API_HTTP_PROTOCOL + API_HOST + '/auth/login');
+        const loginUrl = new URL(this.#httpProtocol + this.#host
+            + '/auth/login');
         const loginPayload = {
             'agent': this.#agent,
             'headers': {
                 'Content-Type': 'application/x-www-form-urlencoded',
                 'Cookie': ''
             },
-            'body': 'mobileDeviceName=chrome&deviceTokenId=' + ip
-                + '&timeZone=-07%3A00&state=&client_id=&response_type=&scope=&redirect_uri=&userId='
-                + username + '&password=' + password + '&rememberMe=false',
+            'body': querystring.stringify({
+                'mobileDeviceName': this.#deviceName,
+                'deviceTokenId': this.#deviceToken ?? ip ?? '',
+                'timeZone': this.#timeZone ?? this.#getTimeZone(),
+                'state': '',
+                'client_id': '',
+                'response_type': '',
+                'scope': '',
+                'redirect_uri': '',
+                'userId': username,
+                'password': password,
+                'rememberMe': 'false'
+            }),
             'method': 'POST',
             'redirect': 'manual'
         };
-        const response = await fetch(loginUrl, loginPayload);
-        return this.#getCookiesFromResponse(response);
+        const response = await this.#request(loginUrl, loginPayload);
+        this.#sessionExpiry = this.#getCookieExpiry(response,
+            APPLICATION_COOKIE);
+        if (response.status >= 400) {
+            throw new UnexpectedResponseError('Login failed: '
+                + response.status + ' ' + response.statusText,
+                loginUrl.pathname, response.status);
+        }
+
+        // A successful login redirects and sets the application cookie, while
+        // a failed one renders the login page again
+        const cookies = this.#getCookiesFromResponse(response);
+        if (!cookies.split(';').some((cookie) =>
+            cookie.startsWith(APPLICATION_COOKIE + '='))) {
+            if (response.status === 200) {
+                throw new InvalidCredentialsError(
+                    'Login rejected the username or password.',
+                    loginUrl.pathname);
+            }
+            throw new UnexpectedResponseError('Login did not set the '
+                + 'application cookie: ' + response.status + ' '
+                + response.statusText, loginUrl.pathname, response.status);
+        }
+        return cookies;
     }
 
     /**
@@ -245,20 +1180,38 @@ class MrCoolAPIConnection {
      *      sessionID
      */
     async #getAppUserAndSessionId() {
-        const appUserUrl = new URL(API_HTTP_PROTOCOL + API_HOST + '/home/index');
+        const appUserUrl = new URL(this.#httpProtocol + this.#host
+            + '/home/index');
         const appUserPayload = {
             'agent': this.#agent,
             'headers': {
                 'Cookie': this.#applicationCookies
             }
         };
-        const appUserHtml = await fetch(appUserUrl, appUserPayload);
-        const root = HTMLParser.parse(await appUserHtml.text());
-        const appUserString = root.querySelector('#hdnAppUser')
-            .getAttribute('value');
-        const appUser = JSON.parse(this.#decryptString(appUserString));
-        const sessionId = root.querySelector('#hdnSessionID')
-            .getAttribute('value');
+        const appUserHtml = await this.#request(appUserUrl, appUserPayload);
+        this.#checkResponse(appUserUrl, appUserHtml);
+        const root = HTMLParser.parse(await this.#readText(appUserUrl,
+            appUserHtml));
+
+        // Without the hidden inputs the cookies were not accepted and the
+        // login page was served instead
+        const appUserInput = root.querySelector('#hdnAppUser');
+        const sessionIdInput = root.querySelector('#hdnSessionID');
+        if (!appUserInput || !sessionIdInput) {
+            throw new SessionExpiredError(
+                'The index page did not contain the user information.',
+                appUserUrl.pathname);
+        }
+        let appUser;
+        try {
+            appUser = JSON.parse(this.#decryptString(
+                appUserInput.getAttribute('value')));
+        } catch (error) {
+            throw new UnexpectedResponseError(
+                'Unable to decrypt the user information.',
+                appUserUrl.pathname, appUserHtml.status);
+        }
+        const sessionId = sessionIdInput.getAttribute('value');
         return [appUser, sessionId];
     }
 
@@ -271,19 +1224,55 @@ class MrCoolAPIConnection {
      *      .expires.
      */
     async #getAccessCredentials() {
-        const tokenUrl = new URL(API_HTTP_PROTOCOL + API_HOST + '/cAcc');
+        const tokenUrl = new URL(this.#httpProtocol + this.#host + '/cAcc');
         const tokenPayload = {
             'agent': this.#agent,
             'headers': {
                 'Content-Type': 'application/x-www-form-urlencoded',
                 'Cookie': this.#applicationCookies
             },
-            'body': 'grant_type=password&username=' + this.#userID
-                + '&password=undefined',
+            'body': querystring.stringify({
+                'grant_type': 'password',
+                'username': this.#userID,
+                'password': 'undefined'
+            }),
             'method': 'POST'
         };
-        const accessCredentials = await fetch(tokenUrl, tokenPayload);
-        return accessCredentials.json();
+        const accessCredentials = await this.#request(tokenUrl, tokenPayload);
+        if (accessCredentials.status === 400) {
+            throw new SessionExpiredError('The token request was rejected.',
+                tokenUrl.pathname);
+        }
+        const result = await this.#parseJson(tokenUrl, accessCredentials);
+        if (!result.access_token) {
+            throw new SessionExpiredError('No access token was issued.',
+                tokenUrl.pathname);
+        }
+
+        // Renew the token before it expires
+        this.#accessCredentials = result;
+        this.#accessExpiry = result.expires_in === undefined ? undefined
+            : Date.now() + result.expires_in * 1000;
+        if (this.#accessExpiry !== undefined) {
+            this.#scheduleRefresh();
+        }
+        return result;
+    }
+
+    /**
+     * Returns the access token obtained last, or a new one if there is none
+     * or it has expired.
+     * 
+     * @returns {Promise<any>} A Promise containing the JSON response, see
+     *      #getAccessCredentials
+     */
+    async #getCurrentAccessCredentials() {
+        if (this.#accessCredentials !== undefined
+            && (this.#accessExpiry === undefined
+                || this.#accessExpiry > Date.now())) {
+            return this.#accessCredentials;
+        }
+        return this.#getAccessCredentials();
     }
 
     /**
@@ -294,7 +1283,7 @@ class MrCoolAPIConnection {
      * @returns {Promise<any>} A Promise containing the JSON response
      */
     async #getDeviceInfo(accessCredentials) {
-        const deviceInfoUrl = new URL(API_HTTP_PROTOCOL + API_HOST
+        const deviceInfoUrl = new URL(this.#httpProtocol + this.#host
             + '/api/device/initsubscription');
         const deviceInfoPayload = {
             'agent': this.#agent,
@@ -311,8 +1300,20 @@ class MrCoolAPIConnection {
             }),
             'method': 'POST'
         };
-        const deviceInfo = await fetch(deviceInfoUrl, deviceInfoPayload);
-        return deviceInfo.json();
+        const deviceInfo = await this.#request(deviceInfoUrl,
+            deviceInfoPayload);
+        const result = await this.#parseJson(deviceInfoUrl, deviceInfo);
+        if (result.error) {
+            throw new UnexpectedResponseError('Subscription failed: '
+                + (result.error.message || result.error),
+                deviceInfoUrl.pathname, deviceInfo.status);
+        }
+        if (!result.data || !Array.isArray(result.data.listDevices)) {
+            throw new UnexpectedResponseError(
+                'Subscription did not return a device list.',
+                deviceInfoUrl.pathname, deviceInfo.status);
+        }
+        return result;
     }
 
     /**
@@ -325,7 +1326,7 @@ class MrCoolAPIConnection {
      */
     async #negotiateSocketInfo() {
         const time = new Date();
-        const negotiateUrl = new URL(API_HTTP_PROTOCOL + API_HOST
+        const negotiateUrl = new URL(this.#httpProtocol + this.#host
             + '/signalr/negotiate');
         negotiateUrl.search = querystring.stringify({
             'connectionData': JSON.stringify([{ 'name': 'devicesactionhub' }]),
@@ -336,10 +1337,11 @@ class MrCoolAPIConnection {
             'agent': this.#agent,
             'headers': {
                 'Cookie': this.#applicationCookies
-            }
+            },
+            'redirect': 'manual'
         };
-        const socketInfo = await fetch(negotiateUrl, negotiatePayload);
-        return socketInfo.json();
+        const socketInfo = await this.#request(negotiateUrl, negotiatePayload);
+        return this.#parseJson(negotiateUrl, socketInfo);
     }
 
     /**
@@ -351,7 +1353,7 @@ class MrCoolAPIConnection {
      */
     async #startSocket() {
         const time = new Date();
-        const startUrl = new URL(API_HTTP_PROTOCOL + API_HOST
+        const startUrl = new URL(this.#httpProtocol + this.#host
             + '/signalr/start');
         startUrl.search = querystring.stringify({
             'transport': 'webSockets',
@@ -366,41 +1368,226 @@ class MrCoolAPIConnection {
                 'Cookie': this.#applicationCookies
             }
         };
-        const startResponse = await fetch(startUrl, startPayload);
+        const startResponse = await this.#request(startUrl, startPayload);
+        this.#checkResponse(startUrl, startResponse);
 
         // Periodically ping the socket to keep it alive
-        const pingTimer = setInterval(async () => {
+        this.#stopPinging();
+        this.#pingTimer = setInterval(async () => {
             try {
                 await this.#pingSocket()
             } catch (error) {
-                this.#errorCallback(error);
+                this.#reportError(error);
             }
         }, PING_INTERVAL);
 
-        return Promise.resolve();
+        return Promise.resolve();
+    }
+
+    /**
+     * Stops the timer that keeps the socket alive, if one is running.
+     */
+    #stopPinging() {
+        clearInterval(this.#pingTimer);
+        this.#pingTimer = undefined;
+    }
+
+    /**
+     * 
+     * @returns 
+     */
+    async #pingSocket() {
+        const time = new Date();
+        const pingUrl = new URL(this.#httpProtocol + this.#host
+            + '/signalr/ping');
+        pingUrl.search = querystring.stringify({
+            '_': time.getTime().toString()
+        });
+        const pingPayload = {
+            'agent': this.#agent,
+            'headers': {
+                'Cookie': this.#applicationCookies
+            }
+        };
+        const pingResponse = await this.#request(pingUrl, pingPayload);
+        const result = await this.#parseJson(pingUrl, pingResponse);
+        this.#statistics.pingLatency = Date.now() - time.getTime();
+        return result;
+    }
+
+    // Utility methods
+    /**
+     * Updates an HVAC's state from an action reported by the API, either a
+     * device's latestAction or an actionReceivedAC status.
+     * 
+     * @param {MrCoolHVAC} hvac The HVAC to update
+     * @param {any} action The reported action
+     */
+    #updateFromAction(hvac, action) {
+        hvac.updateState(action.power, action.temp, action.mode,
+            action.fanspeed, {
+                'swing': action.swing,
+                'turbo': action.turbo,
+                'light': action.light,
+                'tempRange': action.tempRange
+            });
+    }
+
+    /**
+     * Returns the HVAC's current settings keyed by command parameter name.
+     * 
+     * @param {MrCoolHVAC} hvac The HVAC
+     * @returns {any}
+     */
+    #getCommandState(hvac) {
+        return {
+            'power': hvac.getPower(),
+            'temp': hvac.getTemperature(),
+            'mode': hvac.getMode(),
+            'fanspeed': hvac.getFanSpeed(),
+            'swing': hvac.getSwing(),
+            'turbo': hvac.getTurbo(),
+            'light': hvac.getLight(),
+            'tempRange': hvac.getTempRange()
+        };
+    }
+
+    /**
+     * Passes an error to the error callback and any error listeners. Errors
+     * are not emitted without a listener, since that would throw.
+     * 
+     * @param {Error} error The error to report
+     */
+    #reportError(error) {
+        if (this.#errorCallback !== undefined) {
+            this.#errorCallback(error);
+        }
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Performs an HTTP request with the configured fetch implementation,
+     * extra headers, and timeout, converting failures to reach the API into a
+     * NetworkError.
+     * 
+     * @param {URL} url The URL to request
+     * @param {any} payload The request options
+     * @returns {Promise<Response>} A Promise containing the response
+     */
+    async #request(url, payload) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.#timeout);
+        const shutdown = this.#shutdown.signal;
+        const abort = () => controller.abort();
+        shutdown.addEventListener('abort', abort);
+        const request = Object.assign({}, payload, {
+            'headers': Object.assign({}, this.#headers, payload.headers),
+            'signal': controller.signal
+        });
+        this.#tap({
+            'type': 'request',
+            'method': request.method ?? 'GET',
+            'url': url.href,
+            'headers': request.headers,
+            'body': request.body
+        });
+        try {
+            const response = await this.#fetch(url, request);
+            this.#tapResponse(url, response);
+            return response;
+        } catch (error) {
+            if (shutdown.aborted) {
+                throw new ConnectionClosedError('The connection was closed.',
+                    url.pathname);
+            }
+            if (controller.signal.aborted) {
+                throw new NetworkError('Request timed out after '
+                    + this.#timeout + ' ms.', url.pathname, error);
+            }
+            throw new NetworkError('Unable to reach the API: '
+                + error.message, url.pathname, error);
+        } finally {
+            clearTimeout(timer);
+            shutdown.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Records a response's status and headers. Its body is recorded by
+     * #readText once read, so bodies that are never read are not buffered.
+     * 
+     * @param {URL} url The URL that was requested
+     * @param {Response} response The response
+     */
+    #tapResponse(url, response) {
+        if (this.#capture === undefined) return;
+        const headers = {};
+        response.headers.forEach((value, name) => headers[name] = value);
+        const cookies = this.#getSetCookieHeaders(response);
+        if (cookies.length) headers['set-cookie'] = cookies;
+        this.#tap({
+            'type': 'response',
+            'url': url.href,
+            'status': response.status,
+            'headers': headers
+        });
+    }
+
+    /**
+     * Reads a response's body, recording it if capturing
+     * 
+     * @param {URL} url The URL that was requested
+     * @param {Response} response The response
+     * @returns {Promise<string>} A Promise containing the body
+     */
+    async #readText(url, response) {
+        const body = await response.text();
+        if (this.#capture !== undefined) {
+            this.#tap({ 'type': 'body', 'url': url.href, 'body': body });
+        }
+        return body;
     }
 
     /**
+     * Ensures a response was successful. Responses that point back to the
+     * login page mean the session is no longer valid.
      * 
-     * @returns 
+     * @param {URL} url The URL that was requested
+     * @param {Response} response The response to check
      */
-    async #pingSocket() {
-        const time = new Date();
-        const pingUrl = new URL(API_HTTP_PROTOCOL + API_HOST + '/signalr/ping');
-        pingUrl.search = querystring.stringify({
-            '_': time.getTime().toString()
-        });
-        const pingPayload = {
-            'agent': this.#agent,
-            'headers': {
-                'Cookie': this.#applicationCookies
-            }
-        };
-        const pingResponse = await fetch(pingUrl, pingPayload);
-        return pingResponse.json();
+    #checkResponse(url, response) {
+        if (response.status === 401 || response.status === 403
+            || (response.status >= 300 && response.status < 400)) {
+            throw new SessionExpiredError('The session is no longer valid: '
+                + response.status + ' ' + response.statusText, url.pathname);
+        }
+        if (!response.ok) {
+            throw new UnexpectedResponseError('Request failed: '
+                + response.status + ' ' + response.statusText, url.pathname,
+                response.status);
+        }
+    }
+
+    /**
+     * Checks a response and parses its body as JSON.
+     * 
+     * @param {URL} url The URL that was requested
+     * @param {Response} response The response to parse
+     * @returns {Promise<any>} A Promise containing the parsed body
+     */
+    async #parseJson(url, response) {
+        this.#checkResponse(url, response);
+        const body = await this.#readText(url, response);
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw new UnexpectedResponseError('Response was not valid JSON.',
+                url.pathname, response.status);
+        }
     }
 
-    // Utility methods
     /**
      * A function that extracts cookies that the responses requests the client
      * set.
@@ -409,10 +1596,66 @@ class MrCoolAPIConnection {
      * @returns A string containing all of the set cookies
      */
     #getCookiesFromResponse(response) {
-        const cookieArray = response.headers.raw()['set-cookie'];
+        const cookieArray = this.#getSetCookieHeaders(response);
         return cookieArray.map((element) => element.split(';')[0]).join(';');
     }
 
+    /**
+     * Returns the Set-Cookie headers of a response.
+     * 
+     * @param {Response} response A response to an HTTP request
+     * @returns {string[]}
+     */
+    #getSetCookieHeaders(response) {
+        // node-fetch and the built in fetch expose multiple headers differently
+        return (typeof response.headers.raw === 'function'
+            ? response.headers.raw()['set-cookie']
+            : response.headers.getSetCookie?.()) || [];
+    }
+
+    /**
+     * Returns when a cookie set by a response expires.
+     * 
+     * @param {Response} response A response to an HTTP request
+     * @param {string} name The name of the cookie
+     * @returns {number} The expiry in milliseconds since the epoch, or
+     *      undefined if the cookie was not set or does not expire
+     */
+    #getCookieExpiry(response, name) {
+        const cookie = this.#getSetCookieHeaders(response)
+            .find((element) => element.startsWith(name + '='));
+        if (cookie === undefined) return undefined;
+
+        // Max-Age takes precedence over Expires
+        const attributes = cookie.split(';').slice(1).map((attribute) =>
+            attribute.trim().split('='));
+        const maxAge = attributes.find(([key]) =>
+            key.toLowerCase() === 'max-age');
+        if (maxAge !== undefined) {
+            return Date.now() + Number(maxAge[1]) * 1000;
+        }
+        const expires = attributes.find(([key]) =>
+            key.toLowerCase() === 'expires');
+        if (expires !== undefined) {
+            const expiry = Date.parse(expires.slice(1).join('='));
+            return isNaN(expiry) ? undefined : expiry;
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns the system's current UTC offset, e.g. -07:00
+     * 
+     * @returns {string}
+     */
+    #getTimeZone() {
+        const offset = -new Date().getTimezoneOffset();
+        const minutes = Math.abs(offset);
+        return (offset < 0 ? '-' : '+')
+            + String(Math.floor(minutes / 60)).padStart(2, '0') + ':'
+            + String(minutes % 60).padStart(2, '0');
+    }
+
     // From: https://stackoverflow.com/questions/36474899/encrypt-in-javascript-and-decrypt-in-c-sharp-with-aes-algorithm
     #decryptString(input) {
         const key = CryptoJS.enc.Utf8.parse('8080808080808080');
@@ -442,15 +1685,19 @@ class MrCoolAPIConnection {
      * @param {string} mid Session ID
      * @param {string} deviceTypeVersion Device type version
      * @param {string} fwVersion Firmware version
+     * @param {{swing: string, turbo: string, light: string,
+     *      tempRange: string, actualPower: string}} settings Remaining
+     *      settings, with the power state before the command as actualPower
      * @returns {any}
      */
     #buildCommand(temp, power, fanspeed, mode, macAddress, applianceID,
         isAction, performedAction, performedValue, mid, deviceTypeVersion,
-        fwVersion) {
+        fwVersion, settings) {
         return {
             'schTS': '',
-            'tempRange': '',
-            'turbo': 'off',
+            'tempRange': settings.tempRange,
+            'turbo': (isAction && performedAction === 'turbo')
+                ? performedValue : settings.turbo,
             'mid': isAction ? mid : '',
             'mode': (isAction && performedAction === 'mode')
                 ? performedValue : mode,
@@ -460,16 +1707,15 @@ class MrCoolAPIConnection {
             'tempValue': '',
             'power': (isAction && performedAction === 'power')
                 ? performedValue : power,
-            'swing': (isAction && (performedAction === 'mode'
-                || performedAction === 'temp' || (performedAction === 'power' 
-                && performedValue === 'off'))) ? 'auto' : 'auto',
+            'swing': (isAction && performedAction === 'swing')
+                ? performedValue : settings.swing,
             'fanspeed': fanspeed,
             'scheduleID': '',
             'macAddress': macAddress,
             'applianceID': applianceID,
             'performedAction': isAction ? performedAction : '',
             'performedActionValue': isAction ? performedValue : '',
-            'actualPower': power,
+            'actualPower': settings.actualPower,
             'modeRule': '',
             'tempRule': isAction ? 'default' : '',
             'swingRule': isAction ? 'default' : '',
@@ -480,7 +1726,8 @@ class MrCoolAPIConnection {
             'ts': isAction ? Math.round(Date.now() / 1000) : '',
             'deviceTypeVersion': isAction ? deviceTypeVersion : '',
             'deviceType': 'BREEZ-I',
-            'light': '',
+            'light': (isAction && performedAction === 'light')
+                ? performedValue : settings.light,
             'rStatus': '',
             'fwVersion': isAction ? fwVersion : '',
             'exe': '',
@@ -494,25 +1741,33 @@ class MrCoolAPIConnection {
      * @param {MrCoolHVAC} hvac The HVAC to perform the action on
      * @param {string} performedAction The parameter to change
      * @param {string} performedActionValue The value to change it to
+     * @param {any} changes Optional values for other parameters to change
+     *      along with it, keyed by parameter name
      * @returns {string}
      */
-    #buildCommandPayload(hvac, performedAction, performedActionValue) {
+    #buildCommandPayload(hvac, performedAction, performedActionValue,
+        changes = {}) {
         const deviceTypeVersion = 'BI03';
         const commandCount = this.#commandCount++;
+        const current = this.#getCommandState(hvac);
+
+        // Both frames report the power the unit had before the command
+        current.actualPower = current.power;
+        const state = Object.assign({}, current, changes);
         const result = JSON.stringify({
             'H': 'devicesactionhub',
             'M': 'broadcastActionAC',
             'A': [
-                this.#buildCommand(hvac.getTemperature(), hvac.getPower(),
-                    hvac.getFanSpeed(), hvac.getMode(), hvac.getMacAddress(),
-                    hvac.getApplianceID(), true, performedAction,
-                    performedActionValue, this.#sessionID, deviceTypeVersion,
-                    hvac.getFwVersion()),
-                this.#buildCommand(hvac.getTemperature(), hvac.getPower(),
-                    hvac.getFanSpeed(), hvac.getMode(), hvac.getMacAddress(),
+                this.#buildCommand(state.temp, state.power, state.fanspeed,
+                    state.mode, hvac.getMacAddress(), hvac.getApplianceID(),
+                    true, performedAction, performedActionValue,
+                    this.#sessionID, deviceTypeVersion, hvac.getFwVersion(),
+                    state),
+                this.#buildCommand(current.temp, current.power,
+                    current.fanspeed, current.mode, hvac.getMacAddress(),
                     hvac.getApplianceID(), false, performedAction,
                     performedActionValue, this.#sessionID, deviceTypeVersion,
-                    hvac.getFwVersion())
+                    hvac.getFwVersion(), current)
             ],
             'I': commandCount
         });
@@ -520,37 +1775,343 @@ class MrCoolAPIConnection {
     }
 
     /**
-     * Sends a command to the HVAC
+     * Resolves the pending commands confirmed by an actionReceivedAC status.
+     * 
+     * @param {any} status The status received from the API
+     */
+    #acknowledgeCommands(status) {
+        this.#pendingAcknowledgements = this.#pendingAcknowledgements.filter(
+            (pending) => {
+                if (pending.macAddress !== status.macAddress
+                    || Object.keys(pending.changes).some((field) =>
+                        String(status[field]) !== pending.changes[field])) {
+                    return true;
+                }
+                pending.resolve();
+                return false;
+            });
+    }
+
+    /**
+     * Waits for an HVAC to confirm that parameters changed to new values.
+     * 
+     * @param {MrCoolHVAC} hvac The HVAC the command was sent to
+     * @param {any} changes The values being changed, keyed by parameter name
+     * @param {number} timeout Milliseconds to wait before rejecting
+     * @returns {{promise: Promise<void>, cancel: function}} The Promise,
+     *      which rejects with a CommandTimeoutError if no confirmation arrives,
+     *      and a function to stop waiting without settling it
+     */
+    #waitForAcknowledgement(hvac, changes, timeout) {
+        const fields = Object.keys(changes);
+        let pending;
+        const remove = () => {
+            clearTimeout(pending.timer);
+            this.#pendingAcknowledgements = this.#pendingAcknowledgements
+                .filter((entry) => entry !== pending);
+        };
+        const promise = new Promise((resolve, reject) => {
+            pending = {
+                'macAddress': hvac.getMacAddress(),
+                'changes': Object.fromEntries(fields.map((field) =>
+                    [field, String(changes[field])])),
+                'resolve': () => {
+                    clearTimeout(pending.timer);
+                    resolve();
+                },
+                'reject': (error) => {
+                    remove();
+                    reject(error);
+                },
+                'timer': setTimeout(() => {
+                    remove();
+                    reject(new CommandTimeoutError('No confirmation of '
+                        + fields.map((field) => field + ' ' + changes[field])
+                            .join(', ')
+                        + ' from ' + hvac.getMacAddress() + ' within '
+                        + timeout + ' ms.', hvac.getMacAddress(), fields[0],
+                        changes[fields[0]], hvac.getState()));
+                }, timeout)
+            };
+            this.#pendingAcknowledgements.push(pending);
+        });
+        return { promise, 'cancel': remove };
+    }
+
+    /**
+     * Writes a command payload to the socket.
+     * 
+     * @param {string} payload The command payload
+     * @returns {Promise<void>} A Promise containing nothing once the payload
+     *      is sent, and an error if it could not be
+     */
+    #send(payload) {
+        if (this.#ws === undefined || this.#ws.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new ConnectionClosedError('The connection '
+                + 'is not open.', 'broadcastActionAC'));
+        }
+        this.#tap({ 'type': 'sent', 'data': payload });
+        return new Promise((resolve, reject) => {
+            this.#ws.send(payload, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    this.#statistics.commandsSent++;
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Sends a command to the HVAC. Commands for the same HVAC are sent one at
+     * a time, waiting for the HVAC to report each change before sending the
+     * next so every command is built from up to date state. A command that
+     * changes the same parameter as one still waiting in the queue replaces
+     * its value instead of being queued separately, and both callers are
+     * settled with the outcome.
      * 
      * @param {MrCoolHVAC} hvac The HVAC to perform the action on
      * @param {string} performedAction The parameter to change
      * @param {string} performedActionValue The value to change it to
-     * @returns {Promise<void>}
+     * @param {any} options Optional settings. Set acknowledge to true to wait
+     *      for the HVAC to confirm the change, timeout to the milliseconds to
+     *      wait for each confirmation, and retries to the number of times to
+     *      resend the command if no confirmation arrives.
+     * @returns {Promise<any>} A Promise containing nothing once the command is
+     *      sent, or, if acknowledge is set, the HVAC's state once the change is
+     *      confirmed. Rejects with a CommandTimeoutError carrying the last
+     *      known state if it never is, and with an InvalidCommandError without
+     *      sending anything if the HVAC does not support the value.
+     */
+    async sendCommand(hvac, performedAction, performedActionValue,
+        options = {}) {
+        hvac.validateChanges({ [performedAction]: performedActionValue });
+        return this.#enqueueCommand(hvac,
+            { [performedAction]: performedActionValue }, options, false);
+    }
+
+    /**
+     * Changes several parameters of the HVAC with as few commands as
+     * possible. Parameters that already have the requested value when the
+     * command is sent are left out, and nothing is sent if none remain.
+     * Queued like sendCommand.
+     * 
+     * @param {MrCoolHVAC} hvac The HVAC to perform the action on
+     * @param {any} changes The values to change to, keyed by parameter name:
+     *      power, mode, temp, fanspeed, swing, turbo, and light
+     * @param {any} options Optional settings, as for sendCommand. Unlike
+     *      sendCommand, acknowledge defaults to true.
+     * @returns {Promise<any>} A Promise containing the HVAC's state once the
+     *      changes are sent, or confirmed if acknowledge is set
+     */
+    async sendChanges(hvac, changes, options = {}) {
+        const fields = Object.keys(changes)
+            .filter((field) => changes[field] !== undefined);
+        const unknown = fields.find((field) =>
+            !COMMAND_FIELDS.includes(field));
+        if (unknown !== undefined) {
+            throw new InvalidCommandError('Unknown parameter ' + unknown + '.',
+                unknown, changes[unknown]);
+        }
+        hvac.validateChanges(changes);
+        return this.#enqueueCommand(hvac, Object.fromEntries(fields.map(
+            (field) => [field, changes[field]])),
+            Object.assign({ 'acknowledge': true }, options), true);
+    }
+
+    /**
+     * Adds a command to the HVAC's queue, folding it into a queued command
+     * that changes the same parameters if there is one.
+     * 
+     * @param {MrCoolHVAC} hvac The HVAC to perform the action on
+     * @param {any} changes The values to change to, keyed by parameter name
+     * @param {any} options Command options, see sendCommand
+     * @param {boolean} skipUnchanged Whether to leave out parameters that
+     *      already have the requested value
+     * @returns {Promise<any>} A Promise settled with the command's outcome
      */
-    async sendCommand(hvac, performedAction, performedActionValue) {
+    #enqueueCommand(hvac, changes, options, skipUnchanged) {
+        const macAddress = hvac.getMacAddress();
+        if (!this.#commandQueues.has(macAddress)) {
+            this.#commandQueues.set(macAddress,
+                { 'running': undefined, 'pending': [] });
+        }
+        const queue = this.#commandQueues.get(macAddress);
+        const key = Object.keys(changes).sort().join(',');
+
         return new Promise((resolve, reject) => {
-            this.#ws.send(this.#buildCommandPayload(hvac, performedAction,
-                performedActionValue), (error) => {
-                    if (error) {
-                        reject(error);
-                    } else {
-                        resolve();
-                    }
+            // Fold the command into a queued one for the same parameters
+            const queued = queue.pending.find((command) =>
+                command.key === key
+                && command.skipUnchanged === skipUnchanged);
+            if (queued !== undefined) {
+                queued.changes = changes;
+                queued.options = Object.assign({}, queued.options, options, {
+                    'acknowledge': queued.options.acknowledge
+                        || options.acknowledge
                 });
+                queued.callers.push({ resolve, reject });
+                return;
+            }
+
+            queue.pending.push({
+                'hvac': hvac,
+                'key': key,
+                'changes': changes,
+                'options': options,
+                'skipUnchanged': skipUnchanged,
+                'callers': [{ resolve, reject }]
+            });
+            this.#processCommandQueue(queue);
+        });
+    }
+
+    /**
+     * Returns the number of commands for an HVAC that are queued or in flight
+     * 
+     * @param {MrCoolHVAC} hvac The HVAC to inspect
+     * @returns {number}
+     */
+    getQueueDepth(hvac) {
+        return this.getPendingCommands(hvac).length;
+    }
+
+    /**
+     * Returns the commands for an HVAC that are queued or in flight, in the
+     * order they will be sent. Commands that change several parameters report
+     * the first as performedAction and all of them in changes.
+     * 
+     * @param {MrCoolHVAC} hvac The HVAC to inspect
+     * @returns {{performedAction: string, performedActionValue: string,
+     *      changes: any, running: boolean}[]}
+     */
+    getPendingCommands(hvac) {
+        const queue = this.#commandQueues.get(hvac.getMacAddress());
+        if (queue === undefined) return [];
+        const commands = queue.running !== undefined
+            ? [queue.running].concat(queue.pending) : queue.pending;
+        return commands.map((command) => {
+            const performedAction = Object.keys(command.changes)[0];
+            return {
+                'performedAction': performedAction,
+                'performedActionValue': command.changes[performedAction],
+                'changes': Object.assign({}, command.changes),
+                'running': command === queue.running
+            };
         });
     }
+
+    /**
+     * Sends the queued commands for an HVAC one at a time. Does nothing if the
+     * queue is already being processed.
+     * 
+     * @param {{running: any, pending: any[]}} queue The queue to process
+     * @returns {Promise<void>}
+     */
+    async #processCommandQueue(queue) {
+        if (queue.running !== undefined) return;
+        while (queue.pending.length) {
+            queue.running = queue.pending.shift();
+            try {
+                const result = await this.#executeCommand(queue.running);
+                queue.running.callers.forEach(({ resolve }) => resolve(result));
+            } catch (error) {
+                this.#statistics.commandsFailed++;
+                queue.running.callers.forEach(({ reject }) => reject(error));
+            }
+            queue.running = undefined;
+        }
+    }
+
+    /**
+     * Sends a single command and waits for the HVAC to report the change.
+     * 
+     * @param {any} command The queued command
+     * @returns {Promise<any>} A Promise containing the HVAC's state if the
+     *      command asked to be acknowledged or skips unchanged parameters, and
+     *      nothing otherwise
+     */
+    async #executeCommand(command) {
+        const { hvac, options } = command;
+        const timeout = options.timeout ?? COMMAND_TIMEOUT;
+        const retries = options.acknowledge ? options.retries ?? 0 : 0;
+        const result = () =>
+            command.skipUnchanged ? hvac.getState() : undefined;
+
+        // Leave out what already matches, using the order of COMMAND_FIELDS
+        // so the most significant change is the performed action
+        const current = this.#getCommandState(hvac);
+        const fields = COMMAND_FIELDS
+            .filter((field) => field in command.changes)
+            .concat(Object.keys(command.changes).filter((field) =>
+                !COMMAND_FIELDS.includes(field)))
+            .filter((field) => !command.skipUnchanged
+                || String(current[field]) !== String(command.changes[field]));
+        if (!fields.length) return result();
+        const changes = Object.fromEntries(fields.map((field) =>
+            [field, command.changes[field]]));
+
+        for (let attempt = 0; ; attempt++) {
+            // Start listening before sending so a fast reply is not missed
+            const acknowledgement = this.#waitForAcknowledgement(hvac, changes,
+                timeout);
+            try {
+                await this.#send(this.#buildCommandPayload(hvac, fields[0],
+                    changes[fields[0]], changes));
+            } catch (error) {
+                acknowledgement.cancel();
+                throw error;
+            }
+
+            // Without acknowledgement the callers are done once it is sent,
+            // but the queue still holds until the change is reported, and
+            // counts it as failed if it never is
+            if (!options.acknowledge) {
+                command.callers.forEach(({ resolve }) => resolve(result()));
+                await acknowledgement.promise.catch(() => {
+                    this.#statistics.commandsFailed++;
+                });
+                return result();
+            }
+
+            try {
+                await acknowledgement.promise;
+                return hvac.getState();
+            } catch (error) {
+                if (attempt >= retries) throw error;
+            }
+        }
+    }
 }
 
-class MrCoolHVAC {
+/**
+ * A single HVAC subscribed to through a MrCoolAPIConnection.
+ * 
+ * Events:
+ * - stateChanged (previous, next): the power, temperature, mode, or fan speed
+ *      changed, where previous and next are objects as returned by getState
+ * - roomTemperature (roomTemperature, previous): the room temperature was
+ *      reported
+ * - disconnected: the HVAC stopped receiving updates, because the socket
+ *      dropped or was closed with disconnect, reconnecting gave up, or the
+ *      HVAC was replaced by subscribing again
+ */
+class MrCoolHVAC extends EventEmitter {
     #power = DEFAULT_POWER;
     #temperature = DEFAULT_TEMPERATURE;
     #mode = DEFAULT_MODE;
     #fanSpeed = DEFAULT_FAN;
+    #swing = DEFAULT_SWING;
+    #turbo = DEFAULT_TURBO;
+    #light = DEFAULT_LIGHT;
+    #tempRange = '';
     #roomTemperature = DEFAULT_TEMPERATURE;
     #deviceName = 'HVAC';
     #macAddress = '0000000000';
     #applianceID = 0;
     #fwVersion = '0.0.0';
+    #capabilities = DEFAULT_CAPABILITIES;
 
     /**
      * Creates a new HVAC with the provided parameters
@@ -559,12 +2120,19 @@ class MrCoolHVAC {
      * @param {string} deviceName HVAC's name
      * @param {number} applianceID Internal appliance ID
      * @param {string} fwVersion Firmware version
+     * @param {any} capabilities Optional overrides for the default
+     *      capabilities, see getCapabilities
      */
-    constructor(macAddress, deviceName, applianceID, fwVersion) {
+    constructor(macAddress, deviceName, applianceID, fwVersion,
+        capabilities) {
+        super();
         this.#macAddress = macAddress;
         this.#deviceName = deviceName;
         this.#applianceID = applianceID;
         this.#fwVersion = fwVersion;
+        if (capabilities !== undefined) {
+            this.setCapabilities(capabilities);
+        }
     }
 
     /**
@@ -603,6 +2171,43 @@ class MrCoolHVAC {
         return this.#fanSpeed;
     }
 
+    /**
+     * Returns the current swing (louver) position
+     * 
+     * @returns {string}
+     */
+    getSwing() {
+        return this.#swing;
+    }
+
+    /**
+     * Returns the current turbo state
+     * 
+     * @returns {string}
+     */
+    getTurbo() {
+        return this.#turbo;
+    }
+
+    /**
+     * Returns the current display light state, empty if never reported
+     * 
+     * @returns {string}
+     */
+    getLight() {
+        return this.#light;
+    }
+
+    /**
+     * Returns the temperature range reported by the API, empty if never
+     * reported
+     * 
+     * @returns {string}
+     */
+    getTempRange() {
+        return this.#tempRange;
+    }
+
     /**
      * Returns the current room temperature
      * 
@@ -648,6 +2253,111 @@ class MrCoolHVAC {
         return this.#deviceName;
     }
 
+    /**
+     * Returns the values this HVAC accepts. Contains fields powerStates,
+     * modes, fanSpeeds, swingPositions, turboStates, lightStates,
+     * temperatureUnit (F or C), and temperatureRanges, which
+     * maps each unit and mode to the minimum and maximum setpoint, or null if
+     * the setpoint cannot be changed in that mode.
+     * 
+     * @returns {any}
+     */
+    getCapabilities() {
+        return JSON.parse(JSON.stringify(this.#capabilities));
+    }
+
+    /**
+     * Replaces the values this HVAC accepts. Fields that are left out keep
+     * their default values.
+     * 
+     * @param {any} capabilities The capabilities, see getCapabilities
+     */
+    setCapabilities(capabilities) {
+        this.#capabilities = Object.assign({}, DEFAULT_CAPABILITIES,
+            capabilities);
+    }
+
+    /**
+     * Returns the setpoint range for a mode in the HVAC's temperature unit
+     * 
+     * @param {string} mode The mode, defaulting to the current one
+     * @returns {{min: number, max: number}} The range, or null if the setpoint
+     *      cannot be changed in that mode
+     */
+    getTemperatureRange(mode = this.#mode) {
+        const ranges = this.#capabilities.temperatureRanges[
+            this.#capabilities.temperatureUnit] || {};
+        return ranges[mode] ?? null;
+    }
+
+    /**
+     * Ensures the HVAC supports the values in a command, throwing an
+     * InvalidCommandError describing the first one that it does not. The
+     * temperature is checked against the range for the mode in the command,
+     * or the current mode if it has none.
+     * 
+     * @param {any} changes The values to change to, keyed by parameter name:
+     *      power, mode, temp, fanspeed, swing, turbo, or light
+     */
+    validateChanges(changes) {
+        const check = (field, value, allowed, name) => {
+            if (value !== undefined && !allowed.includes(value)) {
+                throw new InvalidCommandError('Invalid ' + name + ' '
+                    + JSON.stringify(value) + ', expected one of '
+                    + allowed.join(', ') + '.', field, value);
+            }
+        };
+        check('power', changes.power, this.#capabilities.powerStates,
+            'power state');
+        check('mode', changes.mode, this.#capabilities.modes, 'mode');
+        check('fanspeed', changes.fanspeed, this.#capabilities.fanSpeeds,
+            'fan speed');
+        check('swing', changes.swing, this.#capabilities.swingPositions,
+            'swing position');
+        check('turbo', changes.turbo, this.#capabilities.turboStates,
+            'turbo state');
+        check('light', changes.light, this.#capabilities.lightStates,
+            'light state');
+
+        if (changes.temp !== undefined) {
+            const mode = changes.mode ?? this.#mode;
+            const range = this.getTemperatureRange(mode);
+            const temperature = Number(changes.temp);
+            if (range === null) {
+                throw new InvalidCommandError('The temperature cannot be set '
+                    + 'in ' + mode + ' mode.', 'temp', changes.temp);
+            }
+            if (String(changes.temp).trim() === ''
+                || !Number.isInteger(temperature)
+                || temperature < range.min || temperature > range.max) {
+                throw new InvalidCommandError('Invalid temperature '
+                    + JSON.stringify(changes.temp) + ', expected a whole '
+                    + 'number from ' + range.min + ' to ' + range.max + ' '
+                    + this.#capabilities.temperatureUnit + ' in ' + mode
+                    + ' mode.', 'temp', changes.temp);
+            }
+        }
+    }
+
+    /**
+     * Returns the current power, temperature, mode, fan speed, swing, turbo,
+     * and light settings
+     * 
+     * @returns {{power: string, temperature: string, mode: string,
+     *      fanSpeed: string, swing: string, turbo: string, light: string}}
+     */
+    getState() {
+        return {
+            'power': this.#power,
+            'temperature': this.#temperature,
+            'mode': this.#mode,
+            'fanSpeed': this.#fanSpeed,
+            'swing': this.#swing,
+            'turbo': this.#turbo,
+            'light': this.#light
+        };
+    }
+
     /**
      * Returns a string representation containing state data
      * 
@@ -666,13 +2376,31 @@ class MrCoolHVAC {
      * @param {string} temperature Updated temperature setting
      * @param {string} mode Updated mode, heat, cool, or auto
      * @param {string} fanSpeed Updated fan speed
+     * @param {{swing: string, turbo: string, light: string,
+     *      tempRange: string}} settings Optional updated values for the
+     *      remaining settings. Settings that are missing or empty are left
+     *      as they are.
      */
-    updateState(power, temperature, mode, fanSpeed) {
-        // TODO: Do some bounds checking
+    updateState(power, temperature, mode, fanSpeed, settings = {}) {
+        // Reported values are taken as they are, since the unit is the
+        // authority on its own state. Commands are checked by validateChanges.
+        const previous = this.getState();
         this.#power = power;
         this.#temperature = temperature;
         this.#mode = mode;
         this.#fanSpeed = fanSpeed;
+        const reported = (value) => value !== undefined && value !== null
+            && value !== '';
+        if (reported(settings.swing)) this.#swing = settings.swing;
+        if (reported(settings.turbo)) this.#turbo = settings.turbo;
+        if (reported(settings.light)) this.#light = settings.light;
+        if (reported(settings.tempRange)) this.#tempRange = settings.tempRange;
+
+        // Only notify listeners of actual changes
+        const next = this.getState();
+        if (Object.keys(next).some((key) => next[key] !== previous[key])) {
+            this.emit('stateChanged', previous, next);
+        }
     }
 
     /**
@@ -681,43 +2409,265 @@ class MrCoolHVAC {
      * @param {string} roomTemperature Updated room temperature
      */
     updateRoomTemperature(roomTemperature) {
+        const previous = this.#roomTemperature;
         this.#roomTemperature = roomTemperature;
+        this.emit('roomTemperature', roomTemperature, previous);
+    }
+
+    /**
+     * Waits until the HVAC's state matches, as reported by the unit
+     * 
+     * @param {Function|any} predicate Called with the state, as returned by
+     *      getState, and the HVAC, returning whether it matches. May instead
+     *      be an object of the values to wait for, e.g.
+     *      { power: 'on', mode: 'cool' }.
+     * @param {{timeout: number, signal: AbortSignal}} options Optional
+     *      milliseconds to wait before rejecting with a WaitTimeoutError, and
+     *      an AbortSignal that rejects with its reason when aborted
+     * @returns {Promise<any>} A Promise containing the matching state, which
+     *      is settled right away if it already matches. Rejects with a
+     *      ConnectionClosedError if the HVAC is disconnected first.
+     */
+    waitForState(predicate, options = {}) {
+        const matches = typeof predicate === 'function'
+            ? (state) => predicate(state, this)
+            : (state) => Object.keys(predicate).every((key) =>
+                String(state[key]) === String(predicate[key]));
+        return this.#waitFor(() => {
+            const state = this.getState();
+            return matches(state) ? { 'value': state } : undefined;
+        }, 'the state to match', options);
+    }
+
+    /**
+     * Waits until the room temperature reported by the HVAC is below or above
+     * a threshold
+     * 
+     * @param {number} threshold The temperature to pass
+     * @param {string} direction below or above
+     * @param {{timeout: number, signal: AbortSignal}} options Optional
+     *      settings, see waitForState
+     * @returns {Promise<number>} A Promise containing the room temperature,
+     *      which is settled right away if it is already past the threshold
+     */
+    waitForRoomTemperature(threshold, direction, options = {}) {
+        if (direction !== 'below' && direction !== 'above') {
+            throw new TypeError('direction must be below or above.');
+        }
+        return this.#waitFor(() => {
+            const roomTemperature = Number(this.#roomTemperature);
+            const passed = direction === 'below'
+                ? roomTemperature < threshold : roomTemperature > threshold;
+            return passed ? { 'value': roomTemperature } : undefined;
+        }, 'the room temperature to be ' + direction + ' ' + threshold,
+        options);
+    }
+
+    /**
+     * Waits until a check passes, checking again whenever the unit reports
+     * its state or room temperature
+     * 
+     * @param {Function} check Returns an object with the value to resolve
+     *      with once passed, or undefined
+     * @param {string} description What is waited for, for error messages
+     * @param {{timeout: number, signal: AbortSignal}} options Optional
+     *      settings, see waitForState
+     * @returns {Promise<any>}
+     */
+    #waitFor(check, description, options) {
+        return new Promise((resolve, reject) => {
+            const signal = options.signal;
+            if (signal !== undefined && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            let timer;
+            const onUpdate = () => {
+                let result;
+                try {
+                    result = check();
+                } catch (error) {
+                    finish(() => reject(error));
+                    return;
+                }
+                if (result !== undefined) {
+                    finish(() => resolve(result.value));
+                }
+            };
+            const onDisconnected = () => finish(() => reject(
+                new ConnectionClosedError('The connection was closed while '
+                    + 'waiting for ' + description + '.')));
+            const onAbort = () => finish(() => reject(signal.reason));
+            const finish = (settle) => {
+                clearTimeout(timer);
+                this.off('stateChanged', onUpdate);
+                this.off('roomTemperature', onUpdate);
+                this.off('disconnected', onDisconnected);
+                if (signal !== undefined) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                settle();
+            };
+
+            this.on('stateChanged', onUpdate);
+            this.on('roomTemperature', onUpdate);
+            this.on('disconnected', onDisconnected);
+            if (signal !== undefined) {
+                signal.addEventListener('abort', onAbort);
+            }
+            if (options.timeout !== undefined) {
+                timer = setTimeout(() => finish(() => reject(
+                    new WaitTimeoutError('Timed out waiting for '
+                        + description + '.', this.#macAddress,
+                    this.getState()))), options.timeout);
+            }
+            onUpdate();
+        });
+    }
+
+    /**
+     * Sets the mode of the HVAC
+     * 
+     * @param {string} mode The mode to change to
+     * @param {MrCoolAPIConnection} api The API to use to execute the command
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand
+     * @return {Promise<any>}
+     */
+    setMode(mode, api, options) {
+        return api.sendCommand(this, 'mode', mode, options);
+    }
+
+    /**
+     * Sets the fan speed of the HVAC
+     * 
+     * @param {string} fanspeed The fan speed to change to
+     * @param {MrCoolAPIConnection} api The API to use to execute the command
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand
+     * @return {Promise<any>}
+     */
+    setFanSpeed(fanspeed, api, options) {
+        return api.sendCommand(this, 'fanspeed', fanspeed, options);
+    }
+
+    /**
+     * Sets the temperature setting of the HVAC
+     * 
+     * @param {string} temperature The temperature to change to
+     * @param {MrCoolAPIConnection} api The API to use to execute the command
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand
+     * @return {Promise<any>}
+     */
+    setTemperature(temperature, api, options) {
+        return api.sendCommand(this, 'temp', temperature, options);
+    }
+
+    /**
+     * Sets the swing (louver) position of the HVAC
+     * 
+     * @param {string} swing The position to change to
+     * @param {MrCoolAPIConnection} api The API to use to execute the command
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand
+     * @return {Promise<any>}
+     */
+    setSwing(swing, api, options) {
+        return api.sendCommand(this, 'swing', swing, options);
     }
 
-    setMode(mode, api) {
-        return api.sendCommand(this, 'mode', mode);
+    /**
+     * Turns turbo mode of the HVAC on or off
+     * 
+     * @param {string} turbo The turbo state to change to, on or off
+     * @param {MrCoolAPIConnection} api The API to use to execute the command
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand
+     * @return {Promise<any>}
+     */
+    setTurbo(turbo, api, options) {
+        return api.sendCommand(this, 'turbo', turbo, options);
     }
 
-    setFanSpeed(fanspeed, api) {
-        return api.sendCommand(this, 'fanspeed', fanspeed);
+    /**
+     * Turns the display light of the HVAC on or off
+     * 
+     * @param {string} light The light state to change to, on or off
+     * @param {MrCoolAPIConnection} api The API to use to execute the command
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand
+     * @return {Promise<any>}
+     */
+    setLight(light, api, options) {
+        return api.sendCommand(this, 'light', light, options);
     }
 
-    setTemperature(temperature, api) {
-        return api.sendCommand(this, 'temp', temperature);
+    /**
+     * Changes several settings of the HVAC at once, sending as few commands
+     * as possible and leaving out settings that already match
+     * 
+     * @param {{power: string, mode: string, temp: string, fanspeed: string,
+     *      swing: string, turbo: string, light: string}} state The settings to
+     *      change. Any may be left out.
+     * @param {MrCoolAPIConnection} api The API to use to execute the command
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendChanges
+     * @return {Promise<any>} The resulting state
+     */
+    setState(state, api, options) {
+        return api.sendChanges(this, state, options);
     }
 
     /**
      * Powers on the HVAC
      * 
      * @param {MrCoolAPIConnection} api The API to use to execute the command
-     * @return {Promise<void>}
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand
+     * @return {Promise<any>}
      */
-    powerOn(api) {
-        return api.sendCommand(this, 'power', 'on');
+    powerOn(api, options) {
+        return api.sendCommand(this, 'power', 'on', options);
     }
 
     /**
      * Powers off the HVAC
      * 
      * @param {MrCoolAPIConnection} api The API to use to execute the command
-     * @return {Promise<void>}
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand
+     * @return {Promise<any>}
      */
-     powerOff(api) {
-        return api.sendCommand(this, 'power', 'off');
+    powerOff(api, options) {
+        return api.sendCommand(this, 'power', 'off', options);
     }
 }
 
 module.exports = {
     MrCoolHVAC: MrCoolHVAC,
-    MrCoolAPIConnection: MrCoolAPIConnection
+    MrCoolAPIConnection: MrCoolAPIConnection,
+    MrCoolError: MrCoolError,
+    InvalidCredentialsError: InvalidCredentialsError,
+    SessionExpiredError: SessionExpiredError,
+    UnexpectedResponseError: UnexpectedResponseError,
+    NetworkError: NetworkError,
+    CommandTimeoutError: CommandTimeoutError,
+    InvalidCommandError: InvalidCommandError,
+    DeviceNotFoundError: DeviceNotFoundError,
+    ConnectionClosedError: ConnectionClosedError,
+    InvalidScheduleError: InvalidScheduleError,
+    WaitTimeoutError: WaitTimeoutError,
+    FileSessionStore: FileSessionStore,
+    MrCoolScheduler: MrCoolScheduler,
+    MrCoolThermostat: MrCoolThermostat,
+    MrCoolHistory: MrCoolHistory,
+    MemoryHistoryStore: MemoryHistoryStore,
+    JsonlHistoryStore: JsonlHistoryStore,
+    CsvHistoryStore: CsvHistoryStore,
+    MrCoolMetrics: MrCoolMetrics,
+    MrCoolMQTTBridge: MrCoolMQTTBridge,
+    MrCoolGateway: MrCoolGateway,
+    MrCoolGroup: MrCoolGroup,
+    MrCoolCapture: MrCoolCapture
 };
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const querystring = require('querystring');
+
+// Constants
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = new RegExp('pass|token|cookie|session|secret|auth'
+    + '|appuser|^user(id|name)?$', 'i');
+const MIN_SECRET_LENGTH = 6;
+
+/**
+ * Records the traffic of a MrCoolAPIConnection to a file, one JSON entry per
+ * line, for debugging and for MrCoolAPIConnection.replay. Entries are
+ * redacted by the connection before they are recorded.
+ *
+ * Entries have a time in milliseconds since the epoch and a type:
+ * - request: method, url, headers, and body of a REST request
+ * - response: url, status, and headers of its response
+ * - body: url and body of a response, once the body was read
+ * - open: url of a WebSocket connection that was opened
+ * - received: data of a WebSocket frame from the API
+ * - sent: data of a WebSocket frame to the API
+ * - close: the WebSocket connection closed
+ *
+ * Any object with a record method may be used instead, e.g. to keep entries
+ * in memory.
+ */
+class MrCoolCapture {
+    #filePath;
+    #writing = Promise.resolve();
+
+    /**
+     * Creates a capture that appends to the provided file
+     *
+     * @param {string} filePath Path to the file, created if missing
+     */
+    constructor(filePath) {
+        this.#filePath = filePath;
+    }
+
+    /**
+     * Returns the path of the file
+     *
+     * @returns {string}
+     */
+    getFilePath() {
+        return this.#filePath;
+    }
+
+    /**
+     * Adds an entry to the end of the file
+     *
+     * @param {any} entry The entry
+     * @returns {Promise<void>}
+     */
+    record(entry) {
+        const line = JSON.stringify(entry) + '\n';
+
+        // Write in order, even if an earlier write failed
+        this.#writing = this.#writing.catch(() => {}).then(() =>
+            fs.promises.appendFile(this.#filePath, line, { 'mode': 0o600 }));
+        return this.#writing;
+    }
+
+    /**
+     * Waits for the entries recorded so far to be written
+     *
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.#writing.catch(() => {});
+    }
+
+    /**
+     * Reads the entries of a capture file
+     *
+     * @param {string} filePath Path to the file
+     * @returns {Promise<any[]>} A Promise containing the entries, oldest first
+     */
+    static async load(filePath) {
+        const contents = await fs.promises.readFile(filePath, 'utf8');
+        return contents.split('\n').filter((line) => line.length)
+            .map((line) => JSON.parse(line));
+    }
+}
+
+/**
+ * Removes credentials, cookies, and tokens from an entry: headers, query
+ * parameters, form fields, and JSON keys that name them, the values of
+ * hidden HTML inputs, and anywhere else the known secrets appear
+ *
+ * @param {any} entry The entry
+ * @param {string[]} secrets Values known to be secret, e.g. the password
+ * @returns {any} A redacted copy of the entry
+ */
+function redactEntry(entry, secrets = []) {
+    const redacted = Object.assign({}, entry);
+    const contentType = String(Object.entries(entry.headers ?? {})
+        .find(([name]) => name.toLowerCase() === 'content-type')?.[1] ?? '');
+    if (entry.headers !== undefined) {
+        redacted.headers = redactHeaders(entry.headers);
+    }
+    if (entry.url !== undefined) {
+        redacted.url = redactUrl(entry.url);
+    }
+    if (typeof entry.body === 'string') {
+        redacted.body = redactBody(entry.body, contentType);
+    }
+    if (typeof entry.data === 'string') {
+        redacted.data = redactBody(entry.data, 'application/json');
+    }
+
+    // Catch secrets anywhere else, such as in a page or an error message
+    let text = JSON.stringify(redacted);
+    secrets.filter((secret) => typeof secret === 'string'
+        && secret.length >= MIN_SECRET_LENGTH).forEach((secret) => {
+        [secret, encodeURIComponent(secret), JSON.stringify(secret).slice(1,
+            -1)].forEach((form) => {
+            text = text.split(form).join(REDACTED);
+        });
+    });
+    return JSON.parse(text);
+}
+
+/**
+ * Redacts the headers that carry cookies or credentials, keeping cookie
+ * names
+ *
+ * @param {any} headers The headers, each a string or an array of strings
+ * @returns {any}
+ */
+function redactHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+        if (!SENSITIVE_KEY.test(name)) return [name, value];
+        const redactValue = (text) => /cookie/i.test(name)
+            ? String(text).split(';').map((cookie) => {
+                const [cookieName] = cookie.split('=');
+                return cookieName.trim() + '=' + REDACTED;
+            }).join('; ')
+            : REDACTED;
+        return [name, Array.isArray(value) ? value.map(redactValue)
+            : redactValue(value)];
+    }));
+}
+
+/**
+ * Redacts the query parameters of a URL that carry credentials or tokens
+ *
+ * @param {string} url The URL
+ * @returns {string}
+ */
+function redactUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+    [...parsed.searchParams.keys()].forEach((key) => {
+        if (SENSITIVE_KEY.test(key)) parsed.searchParams.set(key, REDACTED);
+    });
+    return parsed.href;
+}
+
+/**
+ * Redacts a request or response body, or a WebSocket frame
+ *
+ * @param {string} body The body
+ * @param {string} contentType The body's content type, if known
+ * @returns {string}
+ */
+function redactBody(body, contentType) {
+    let json;
+    try {
+        json = JSON.parse(body);
+    } catch (error) {
+        json = undefined;
+    }
+    if (json !== undefined) {
+        return JSON.stringify(redactJson(json));
+    }
+    if (/x-www-form-urlencoded/i.test(contentType)) {
+        const form = querystring.parse(body);
+        Object.keys(form).forEach((key) => {
+            if (SENSITIVE_KEY.test(key)) form[key] = REDACTED;
+        });
+        return querystring.stringify(form);
+    }
+
+    // Hidden inputs hold the encrypted user and the session ID
+    return body.replace(/<input\b[^>]*>/gi, (input) =>
+        /type\s*=\s*["']?hidden/i.test(input)
+            ? input.replace(/(value\s*=\s*)("[^"]*"|'[^']*')/i,
+                '$1"' + REDACTED + '"')
+            : input);
+}
+
+/**
+ * Redacts the values of sensitive keys anywhere in a JSON value
+ *
+ * @param {any} value The value
+ * @returns {any}
+ */
+function redactJson(value) {
+    if (Array.isArray(value)) return value.map(redactJson);
+    if (value === null || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+        [key, SENSITIVE_KEY.test(key) && (field === null
+            || typeof field !== 'object') ? REDACTED : redactJson(field)]));
+}
+
+module.exports = {
+    MrCoolCapture: MrCoolCapture,
+    redactEntry: redactEntry
+};
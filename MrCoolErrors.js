@@ -0,0 +1,181 @@
+/**
+ * Base class for all errors raised by this library.
+ */
+class MrCoolError extends Error {
+    /**
+     * Creates a new error
+     *
+     * @param {string} message Description of the failure
+     * @param {string} step The API endpoint or hub method being called when
+     *      the failure occurred, e.g. /auth/login
+     */
+    constructor(message, step) {
+        super(message);
+        this.name = this.constructor.name;
+        this.step = step;
+    }
+}
+
+/**
+ * Raised when the API rejects the provided username and password.
+ */
+class InvalidCredentialsError extends MrCoolError {
+}
+
+/**
+ * Raised when the API no longer accepts the session cookies or access token,
+ * meaning the session has to be established again.
+ */
+class SessionExpiredError extends MrCoolError {
+}
+
+/**
+ * Raised when the API answers with a status code or body that the library
+ * does not know how to handle.
+ */
+class UnexpectedResponseError extends MrCoolError {
+    /**
+     * Creates a new error
+     *
+     * @param {string} message Description of the failure
+     * @param {string} step The API endpoint being called
+     * @param {number} status The HTTP status code of the response, if any
+     */
+    constructor(message, step, status) {
+        super(message, step);
+        this.status = status;
+    }
+}
+
+/**
+ * Raised when the API could not be reached at all.
+ */
+class NetworkError extends MrCoolError {
+    /**
+     * Creates a new error
+     *
+     * @param {string} message Description of the failure
+     * @param {string} step The API endpoint being called
+     * @param {Error} cause The underlying error raised by the HTTP client
+     */
+    constructor(message, step, cause) {
+        super(message, step);
+        this.cause = cause;
+    }
+}
+
+/**
+ * Raised when an HVAC does not confirm a command in time.
+ */
+class CommandTimeoutError extends MrCoolError {
+    /**
+     * Creates a new error
+     *
+     * @param {string} message Description of the failure
+     * @param {string} macAddress MAC address of the HVAC the command was for
+     * @param {string} performedAction The parameter the command was changing
+     * @param {string} performedActionValue The value it was changing it to
+     * @param {any} state The last known state of the HVAC, as returned by
+     *      MrCoolHVAC.getState
+     */
+    constructor(message, macAddress, performedAction, performedActionValue,
+        state) {
+        super(message, 'broadcastActionAC');
+        this.macAddress = macAddress;
+        this.performedAction = performedAction;
+        this.performedActionValue = performedActionValue;
+        this.state = state;
+    }
+}
+
+/**
+ * Raised when a command asks for a value the HVAC does not support. Nothing
+ * is sent when this is raised.
+ */
+class InvalidCommandError extends MrCoolError {
+    /**
+     * Creates a new error
+     *
+     * @param {string} message Description of the problem
+     * @param {string} field The parameter the command was changing
+     * @param {any} value The rejected value
+     */
+    constructor(message, field, value) {
+        super(message, 'broadcastActionAC');
+        this.field = field;
+        this.value = value;
+    }
+}
+
+/**
+ * Raised or emitted as a warning when requested devices are not on the
+ * account.
+ */
+class DeviceNotFoundError extends MrCoolError {
+    /**
+     * Creates a new error
+     *
+     * @param {string} message Description of the problem
+     * @param {string[]} macAddresses MAC addresses that were not found
+     */
+    constructor(message, macAddresses) {
+        super(message, '/api/device/initsubscription');
+        this.macAddresses = macAddresses;
+    }
+}
+
+/**
+ * Raised when the connection is closed with disconnect, or its AbortSignal is
+ * aborted, while an operation is still waiting on it.
+ */
+class ConnectionClosedError extends MrCoolError {
+}
+
+/**
+ * Raised when a schedule rule cannot be understood.
+ */
+class InvalidScheduleError extends MrCoolError {
+    /**
+     * Creates a new error
+     *
+     * @param {string} message Description of the problem
+     * @param {any} rule The rejected rule
+     */
+    constructor(message, rule) {
+        super(message);
+        this.rule = rule;
+    }
+}
+
+/**
+ * Raised when an HVAC does not reach the state waited for in time.
+ */
+class WaitTimeoutError extends MrCoolError {
+    /**
+     * Creates a new error
+     *
+     * @param {string} message Description of the failure
+     * @param {string} macAddress MAC address of the HVAC waited on
+     * @param {any} state The last known state of the HVAC, as returned by
+     *      MrCoolHVAC.getState
+     */
+    constructor(message, macAddress, state) {
+        super(message);
+        this.macAddress = macAddress;
+        this.state = state;
+    }
+}
+
+module.exports = {
+    MrCoolError: MrCoolError,
+    InvalidCredentialsError: InvalidCredentialsError,
+    SessionExpiredError: SessionExpiredError,
+    UnexpectedResponseError: UnexpectedResponseError,
+    NetworkError: NetworkError,
+    CommandTimeoutError: CommandTimeoutError,
+    InvalidCommandError: InvalidCommandError,
+    DeviceNotFoundError: DeviceNotFoundError,
+    ConnectionClosedError: ConnectionClosedError,
+    InvalidScheduleError: InvalidScheduleError,
+    WaitTimeoutError: WaitTimeoutError
+};
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const http = require('http');
+const {
+    InvalidCommandError,
+    CommandTimeoutError,
+    ConnectionClosedError
+} = require('./MrCoolErrors.js');
+
+// Constants
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const KEEPALIVE_INTERVAL = 30 * 1000;
+const MAX_BODY_SIZE = 64 * 1024;
+const WRITABLE_FIELDS = {
+    'power': 'power',
+    'mode': 'mode',
+    'temperature': 'temp',
+    'temp': 'temp',
+    'fanSpeed': 'fanspeed',
+    'fanspeed': 'fanspeed',
+    'swing': 'swing',
+    'turbo': 'turbo',
+    'light': 'light'
+};
+
+/**
+ * Lets clients on the local network share one connection to the API, so
+ * dashboards and scripts do not each log in. Serves JSON over HTTP, either
+ * from its own server or through handle for an existing one:
+ *
+ * - GET /devices: every subscribed HVAC
+ * - GET /devices/:mac: one HVAC
+ * - PATCH /devices/:mac: changes the settings in the JSON body, any of power,
+ *      mode, temperature, fanSpeed, swing, turbo, and light, and answers with
+ *      the HVAC once the changes are confirmed
+ * - GET /events: a server-sent event stream of state events, sent when an
+ *      actionReceivedAC message changes an HVAC's state, and roomTemperature
+ *      events, sent for HeartBeatPerformed messages, each with the HVAC as
+ *      data
+ *
+ * HVACs are given by MAC address or name. Errors are answered with a JSON
+ * object with the error's name and message.
+ */
+class MrCoolGateway {
+    #api;
+    #token;
+    #commandOptions;
+    #server;
+    #keepalive;
+
+    /**
+     * The open event streams
+     *
+     * @type Set<http.ServerResponse>
+     */
+    #streams = new Set();
+
+    #onStateChanged = (hvac) => this.#broadcast('state', hvac);
+    #onRoomTemperature = (hvac) => this.#broadcast('roomTemperature', hvac);
+
+    /**
+     * Creates a gateway for a connection
+     *
+     * @param {MrCoolAPIConnection} api The connection with the subscribed
+     *      HVACs
+     * @param {any} options Optional settings. Set token to require requests
+     *      to carry it as a bearer token, and commandOptions to options to
+     *      pass to MrCoolHVAC.setState.
+     */
+    constructor(api, options = {}) {
+        this.#api = api;
+        this.#token = options.token;
+        this.#commandOptions = options.commandOptions;
+    }
+
+    /**
+     * Starts the HTTP server
+     *
+     * @param {number} port The port to listen on, 8080 by default, or 0 for
+     *      any free port
+     * @param {string} host The address to listen on, 127.0.0.1 by default so
+     *      only local clients can connect. Use 0.0.0.0 for every address,
+     *      along with a token.
+     * @returns {Promise<number>} A Promise containing the port listened on
+     */
+    listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+        this.#server = http.createServer((request, response) =>
+            this.handle(request, response));
+        return new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(port, host, () =>
+                resolve(this.#server.address().port));
+        });
+    }
+
+    /**
+     * Ends the event streams and stops the HTTP server
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.#streams.forEach((response) => response.end());
+        this.#streams.clear();
+        this.#stopStreaming();
+        const server = this.#server;
+        this.#server = undefined;
+        if (server === undefined) return Promise.resolve();
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    /**
+     * Answers a request, for use as or from the request listener of an
+     * existing HTTP server
+     *
+     * @param {http.IncomingMessage} request The request
+     * @param {http.ServerResponse} response The response
+     * @returns {Promise<void>}
+     */
+    async handle(request, response) {
+        if (!this.#isAuthorized(request)) {
+            response.setHeader('WWW-Authenticate', 'Bearer');
+            sendError(response, 401, 'Unauthorized',
+                'A valid bearer token is required.');
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        let parts;
+        try {
+            parts = url.pathname.split('/').filter((part) => part.length)
+                .map((part) => decodeURIComponent(part));
+        } catch (error) {
+            sendError(response, 400, 'BadRequest', 'The path is malformed.');
+            return;
+        }
+        if (parts.length === 1 && parts[0] === 'devices') {
+            if (request.method !== 'GET') {
+                sendError(response, 405, 'MethodNotAllowed',
+                    'Use GET to list the devices.');
+                return;
+            }
+            sendJson(response, 200, this.#api.hvacs.map(describe));
+        } else if (parts.length === 2 && parts[0] === 'devices') {
+            const hvac = this.#api.getHVAC(parts[1]);
+            if (hvac === undefined) {
+                sendError(response, 404, 'DeviceNotFoundError',
+                    'No device ' + parts[1] + ' is subscribed to.');
+            } else if (request.method === 'GET') {
+                sendJson(response, 200, describe(hvac));
+            } else if (request.method === 'PATCH') {
+                await this.#changeDevice(hvac, request, response);
+            } else {
+                sendError(response, 405, 'MethodNotAllowed',
+                    'Use GET or PATCH for a device.');
+            }
+        } else if (parts.length === 1 && parts[0] === 'events'
+            && request.method === 'GET') {
+            this.#openStream(request, response);
+        } else {
+            sendError(response, 404, 'NotFound', 'Not Found');
+        }
+    }
+
+    /**
+     * Returns whether a request carries the bearer token, if one is required
+     *
+     * @param {http.IncomingMessage} request The request
+     * @returns {boolean}
+     */
+    #isAuthorized(request) {
+        if (this.#token === undefined) return true;
+        const match = /^Bearer\s+(.+)$/i
+            .exec(request.headers['authorization'] ?? '');
+        if (match === null) return false;
+
+        // Compare digests so the comparison takes the same time for any token
+        const digest = (text) => crypto.createHash('sha256').update(text)
+            .digest();
+        return crypto.timingSafeEqual(digest(match[1]),
+            digest(String(this.#token)));
+    }
+
+    /**
+     * Applies the changes in a PATCH request to an HVAC
+     *
+     * @param {MrCoolHVAC} hvac The HVAC
+     * @param {http.IncomingMessage} request The request
+     * @param {http.ServerResponse} response The response
+     * @returns {Promise<void>}
+     */
+    async #changeDevice(hvac, request, response) {
+        let body;
+        try {
+            body = JSON.parse(await readBody(request));
+        } catch (error) {
+            sendError(response, 400, 'BadRequest',
+                'The body must be a JSON object of settings.');
+            return;
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            sendError(response, 400, 'BadRequest',
+                'The body must be a JSON object of settings.');
+            return;
+        }
+
+        const changes = {};
+        for (const [field, value] of Object.entries(body)) {
+            if (!(field in WRITABLE_FIELDS)) {
+                sendError(response, 400, 'InvalidCommandError',
+                    'Unknown or read-only setting ' + field + '.');
+                return;
+            }
+            changes[WRITABLE_FIELDS[field]] = value;
+        }
+
+        try {
+            await hvac.setState(changes, this.#api, this.#commandOptions);
+        } catch (error) {
+            sendError(response, statusOf(error), error.name, error.message);
+            return;
+        }
+        sendJson(response, 200, describe(hvac));
+    }
+
+    /**
+     * Starts an event stream
+     *
+     * @param {http.IncomingMessage} request The request
+     * @param {http.ServerResponse} response The response
+     */
+    #openStream(request, response) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        response.write(': connected\n\n');
+        if (!this.#streams.size) {
+            this.#api.on('stateChanged', this.#onStateChanged);
+            this.#api.on('roomTemperature', this.#onRoomTemperature);
+
+            // Comments keep proxies from closing idle streams
+            this.#keepalive = setInterval(() => this.#streams.forEach(
+                (stream) => stream.write(': keepalive\n\n')),
+            KEEPALIVE_INTERVAL);
+            this.#keepalive.unref();
+        }
+        this.#streams.add(response);
+        request.on('close', () => {
+            this.#streams.delete(response);
+            if (!this.#streams.size) this.#stopStreaming();
+        });
+    }
+
+    /**
+     * Stops listening for events once no stream is open
+     */
+    #stopStreaming() {
+        this.#api.off('stateChanged', this.#onStateChanged);
+        this.#api.off('roomTemperature', this.#onRoomTemperature);
+        clearInterval(this.#keepalive);
+        this.#keepalive = undefined;
+    }
+
+    /**
+     * Sends an event about an HVAC to every stream
+     *
+     * @param {string} event The event name
+     * @param {MrCoolHVAC} hvac The HVAC
+     */
+    #broadcast(event, hvac) {
+        const message = 'event: ' + event + '\ndata: '
+            + JSON.stringify(describe(hvac)) + '\n\n';
+        this.#streams.forEach((response) => response.write(message));
+    }
+}
+
+/**
+ * Returns the JSON representation of an HVAC
+ *
+ * @param {MrCoolHVAC} hvac The HVAC
+ * @returns {any}
+ */
+function describe(hvac) {
+    return Object.assign({
+        'macAddress': hvac.getMacAddress(),
+        'name': hvac.getDeviceName()
+    }, hvac.getState(), { 'roomTemperature': hvac.getRoomTemperature() });
+}
+
+/**
+ * Returns the HTTP status for an error from a command
+ *
+ * @param {Error} error The error
+ * @returns {number}
+ */
+function statusOf(error) {
+    if (error instanceof InvalidCommandError) return 400;
+    if (error instanceof CommandTimeoutError) return 504;
+    if (error instanceof ConnectionClosedError) return 503;
+    return 502;
+}
+
+/**
+ * Reads the body of a request
+ *
+ * @param {http.IncomingMessage} request The request
+ * @returns {Promise<string>}
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('The body is too large.'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Answers with JSON
+ *
+ * @param {http.ServerResponse} response The response
+ * @param {number} status The HTTP status
+ * @param {any} body The value to send
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Answers with an error
+ *
+ * @param {http.ServerResponse} response The response
+ * @param {number} status The HTTP status
+ * @param {string} name The error's name
+ * @param {string} message The error's message
+ */
+function sendError(response, status, name, message) {
+    sendJson(response, status, { 'error': name, 'message': message });
+}
+
+module.exports = {
+    MrCoolGateway: MrCoolGateway
+};
@@ -0,0 +1,318 @@
+const { DeviceNotFoundError } = require('./MrCoolErrors.js');
+
+// Constants
+const DEFAULT_CONCURRENCY = 4;
+const MIXED = 'mixed';
+const STATE_FIELDS = ['power', 'temperature', 'mode', 'fanSpeed', 'swing',
+    'turbo', 'light'];
+const MODE_DESCRIPTIONS = {
+    'auto': 'on auto',
+    'cool': 'cooling',
+    'heat': 'heating',
+    'dry': 'drying',
+    'fan': 'fanning'
+};
+
+/**
+ * A named set of HVACs, such as a floor or a zone, that are controlled
+ * together with the same setters as a single MrCoolHVAC.
+ *
+ * Commands are sent to a limited number of units at a time, and never
+ * reject: they resolve with the units that succeeded and those that failed,
+ * so a partial failure can be retried or reported.
+ */
+class MrCoolGroup {
+    #name;
+    #hvacs;
+    #concurrency;
+
+    /**
+     * Creates a group
+     *
+     * @param {string} name The group's name
+     * @param {MrCoolHVAC[]} hvacs The HVACs in the group
+     * @param {any} options Optional settings. Set concurrency to the number
+     *      of units to send commands to at a time, 4 by default.
+     */
+    constructor(name, hvacs = [], options = {}) {
+        this.#name = name;
+        this.#hvacs = [...new Set(hvacs)];
+        this.#concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+    }
+
+    /**
+     * Creates a group of subscribed HVACs, given by MAC address or name
+     *
+     * @param {MrCoolAPIConnection} api The connection with the subscribed
+     *      HVACs
+     * @param {string} name The group's name
+     * @param {string[]} units The MAC addresses or names of the HVACs
+     * @param {any} options Optional settings, see the constructor
+     * @returns {MrCoolGroup}
+     */
+    static fromUnits(api, name, units, options) {
+        const missing = units.filter((unit) => api.getHVAC(unit) === undefined);
+        if (missing.length) {
+            throw new DeviceNotFoundError('No device ' + missing.join(', ')
+                + ' is subscribed to.', missing);
+        }
+        return new MrCoolGroup(name,
+            units.map((unit) => api.getHVAC(unit)), options);
+    }
+
+    /**
+     * Returns the group's name
+     *
+     * @returns {string}
+     */
+    getName() {
+        return this.#name;
+    }
+
+    /**
+     * Returns the HVACs in the group
+     *
+     * @returns {MrCoolHVAC[]}
+     */
+    getHVACs() {
+        return this.#hvacs.slice();
+    }
+
+    /**
+     * Adds an HVAC to the group
+     *
+     * @param {MrCoolHVAC} hvac The HVAC
+     */
+    add(hvac) {
+        if (!this.#hvacs.includes(hvac)) this.#hvacs.push(hvac);
+    }
+
+    /**
+     * Removes an HVAC from the group
+     *
+     * @param {MrCoolHVAC} hvac The HVAC
+     * @returns {boolean} Whether the HVAC was in the group
+     */
+    remove(hvac) {
+        const index = this.#hvacs.indexOf(hvac);
+        if (index === -1) return false;
+        this.#hvacs.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Returns the combined state of the group. Each field has the value the
+     * units share, or mixed if they differ.
+     *
+     * @returns {{power: string, temperature: string, mode: string,
+     *      fanSpeed: string, swing: string, turbo: string, light: string}}
+     *      The state, with every field undefined if the group is empty
+     */
+    getState() {
+        const states = this.#hvacs.map((hvac) => hvac.getState());
+        return Object.fromEntries(STATE_FIELDS.map((field) => {
+            const values = new Set(states.map((state) =>
+                String(state[field])));
+            return [field, values.size > 1 ? MIXED : states[0]?.[field]];
+        }));
+    }
+
+    /**
+     * Describes what the group is doing, e.g. all off, all cooling, or mixed
+     *
+     * @returns {string}
+     */
+    getSummary() {
+        if (!this.#hvacs.length) return 'empty';
+        const state = this.getState();
+        if (state.power === 'off') return 'all off';
+        if (state.power === 'on' && state.mode !== MIXED) {
+            return 'all ' + (MODE_DESCRIPTIONS[state.mode] ?? state.mode);
+        }
+        return MIXED;
+    }
+
+    /**
+     * Returns a string representation of the group
+     *
+     * @returns {string}
+     */
+    toString() {
+        return this.#name + ' (' + this.#hvacs.length + ' units): '
+            + this.getSummary();
+    }
+
+    /**
+     * Sets the mode of every HVAC in the group
+     *
+     * @param {string} mode The mode
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendCommand, and concurrency to override the
+     *      group's
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The hvac and
+     *      result of each unit that succeeded, and the hvac and error of each
+     *      that failed
+     */
+    setMode(mode, api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.setMode(mode, api, commandOptions));
+    }
+
+    /**
+     * Sets the fan speed of every HVAC in the group
+     *
+     * @param {string} fanspeed The fan speed
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see setMode
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    setFanSpeed(fanspeed, api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.setFanSpeed(fanspeed, api, commandOptions));
+    }
+
+    /**
+     * Sets the setpoint of every HVAC in the group
+     *
+     * @param {number} temperature The setpoint
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see setMode
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    setTemperature(temperature, api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.setTemperature(temperature, api, commandOptions));
+    }
+
+    /**
+     * Sets the swing position of every HVAC in the group
+     *
+     * @param {string} swing The swing position
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see setMode
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    setSwing(swing, api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.setSwing(swing, api, commandOptions));
+    }
+
+    /**
+     * Turns turbo on or off on every HVAC in the group
+     *
+     * @param {string} turbo The turbo state
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see setMode
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    setTurbo(turbo, api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.setTurbo(turbo, api, commandOptions));
+    }
+
+    /**
+     * Turns the light on or off on every HVAC in the group
+     *
+     * @param {string} light The light state
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see setMode
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    setLight(light, api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.setLight(light, api, commandOptions));
+    }
+
+    /**
+     * Changes several settings of every HVAC in the group at once
+     *
+     * @param {any} state The settings to change, see MrCoolHVAC.setState
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see
+     *      MrCoolAPIConnection.sendChanges, and concurrency to override the
+     *      group's
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    setState(state, api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.setState(state, api, commandOptions));
+    }
+
+    /**
+     * Powers on every HVAC in the group
+     *
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see setMode
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    powerOn(api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.powerOn(api, commandOptions));
+    }
+
+    /**
+     * Powers off every HVAC in the group
+     *
+     * @param {MrCoolAPIConnection} api The API to use to execute the commands
+     * @param {any} options Command options, see setMode
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    powerOff(api, options) {
+        return this.#run(options, (hvac, commandOptions) =>
+            hvac.powerOff(api, commandOptions));
+    }
+
+    /**
+     * Runs a command on every HVAC in the group, a limited number at a time
+     *
+     * @param {any} options Command options, and concurrency
+     * @param {Function} command Called with each HVAC and the command options,
+     *      returning a Promise
+     * @returns {Promise<{succeeded: any[], failed: any[]}>} The outcome, see
+     *      setMode
+     */
+    async #run(options = {}, command) {
+        const commandOptions = Object.assign({}, options);
+        delete commandOptions.concurrency;
+        const concurrency = Math.max(1,
+            options.concurrency ?? this.#concurrency);
+        const hvacs = this.#hvacs.slice();
+        const outcomes = new Array(hvacs.length);
+
+        let next = 0;
+        const work = async () => {
+            while (next < hvacs.length) {
+                const index = next++;
+                const hvac = hvacs[index];
+                try {
+                    outcomes[index] = {
+                        'hvac': hvac,
+                        'result': await command(hvac, commandOptions)
+                    };
+                } catch (error) {
+                    outcomes[index] = { 'hvac': hvac, 'error': error };
+                }
+            }
+        };
+        await Promise.all(Array.from(
+            { 'length': Math.min(concurrency, hvacs.length) }, work));
+
+        return {
+            'succeeded': outcomes.filter((outcome) => !('error' in outcome)),
+            'failed': outcomes.filter((outcome) => 'error' in outcome)
+        };
+    }
+}
+
+module.exports = {
+    MrCoolGroup: MrCoolGroup
+};
@@ -0,0 +1,201 @@
+const EventEmitter = require('events');
+const { MemoryHistoryStore } = require('./MrCoolHistoryStore.js');
+
+/**
+ * Records the state and room temperature of the HVACs subscribed to through
+ * a connection, and answers questions about them, e.g. the office's room
+ * temperature over the last day or how long it spent cooling.
+ *
+ * Every state change and room temperature report becomes a record with the
+ * time and the HVAC's MAC address. The state of each HVAC is also recorded
+ * when recording starts and whenever the connection is established, so
+ * runtimes are known from then on.
+ *
+ * Events:
+ * - recordFailed (error, record): the store could not keep a record
+ */
+class MrCoolHistory extends EventEmitter {
+    #api;
+    #store;
+    #recording = false;
+
+    /**
+     * The last state recorded for each MAC address, to leave out repeats
+     *
+     * @type Map<string, string>
+     */
+    #lastStates = new Map();
+
+    #onStateChanged = (hvac, previous, next) =>
+        this.#recordState(hvac, next);
+    #onRoomTemperature = (hvac, roomTemperature) =>
+        this.#record(hvac, {
+            'type': 'roomTemperature',
+            'roomTemperature': Number(roomTemperature)
+        });
+    #onConnected = () =>
+        this.#api.hvacs.forEach((hvac) => this.#recordState(hvac));
+
+    /**
+     * Creates a history for a connection, which records nothing until start
+     * is called
+     *
+     * @param {MrCoolAPIConnection} api The connection
+     * @param {any} options Optional settings. Set store to where the records
+     *      are kept, a MemoryHistoryStore by default.
+     */
+    constructor(api, options = {}) {
+        super();
+        this.#api = api;
+        this.#store = options.store ?? new MemoryHistoryStore();
+    }
+
+    /**
+     * Starts recording
+     */
+    start() {
+        if (this.#recording) return;
+        this.#recording = true;
+        this.#api.on('stateChanged', this.#onStateChanged);
+        this.#api.on('roomTemperature', this.#onRoomTemperature);
+        this.#api.on('connected', this.#onConnected);
+        this.#onConnected();
+    }
+
+    /**
+     * Stops recording
+     */
+    stop() {
+        this.#recording = false;
+        this.#api.off('stateChanged', this.#onStateChanged);
+        this.#api.off('roomTemperature', this.#onRoomTemperature);
+        this.#api.off('connected', this.#onConnected);
+    }
+
+    /**
+     * Finds records, oldest first
+     *
+     * @param {any} filter Optional limits: unit, a MAC address or name,
+     *      type, state or roomTemperature, and from and to times, as Dates or
+     *      milliseconds since the epoch
+     * @returns {Promise<any[]>}
+     */
+    query(filter = {}) {
+        const storeFilter = Object.assign({}, filter,
+            { 'macAddress': this.#getMacAddress(filter.unit) });
+        delete storeFilter.unit;
+        return this.#store.query(storeFilter);
+    }
+
+    /**
+     * Returns the room temperatures an HVAC reported, oldest first
+     *
+     * @param {string} unit The HVAC's MAC address or name
+     * @param {any} range Optional from and to times
+     * @returns {Promise<{time: number, roomTemperature: number}[]>}
+     */
+    async getRoomTemperatures(unit, range = {}) {
+        const records = await this.query(Object.assign({}, range,
+            { 'unit': unit, 'type': 'roomTemperature' }));
+        return records.map((record) => ({
+            'time': record.time,
+            'roomTemperature': record.roomTemperature
+        }));
+    }
+
+    /**
+     * Returns the states an HVAC was in, oldest first
+     *
+     * @param {string} unit The HVAC's MAC address or name
+     * @param {any} range Optional from and to times
+     * @returns {Promise<any[]>} The states, as returned by
+     *      MrCoolHVAC.getState, each with its time
+     */
+    async getStates(unit, range = {}) {
+        const records = await this.query(Object.assign({}, range,
+            { 'unit': unit, 'type': 'state' }));
+        return records.map((record) => {
+            const state = Object.assign({}, record);
+            delete state.type;
+            delete state.macAddress;
+            return state;
+        });
+    }
+
+    /**
+     * Sums how long an HVAC spent in each mode while powered on, and how
+     * long it was off. Time before the first recorded state is not counted.
+     *
+     * @param {string} unit The HVAC's MAC address or name
+     * @param {any} range Optional from and to times, defaulting to all of
+     *      the history up to now
+     * @returns {Promise<any>} Milliseconds keyed by mode, and off
+     */
+    async getRuntime(unit, range = {}) {
+        const from = range.from !== undefined ? Number(range.from)
+            : -Infinity;
+        const to = Math.min(range.to !== undefined ? Number(range.to)
+            : Infinity, Date.now());
+
+        // The state at the start is the last one recorded before it
+        const states = await this.getStates(unit, { 'to': to });
+        const runtime = {};
+        states.forEach((state, index) => {
+            const start = Math.max(state.time, from);
+            const end = index + 1 < states.length
+                ? Math.min(states[index + 1].time, to) : to;
+            if (end <= start) return;
+            const key = state.power === 'on' ? state.mode : 'off';
+            runtime[key] = (runtime[key] ?? 0) + end - start;
+        });
+        return runtime;
+    }
+
+    /**
+     * Records an HVAC's state if it differs from the last one recorded
+     *
+     * @param {MrCoolHVAC} hvac The HVAC
+     * @param {any} state The state, the HVAC's current one by default
+     */
+    #recordState(hvac, state = hvac.getState()) {
+        const key = JSON.stringify(state);
+        if (this.#lastStates.get(hvac.getMacAddress()) === key) return;
+        this.#lastStates.set(hvac.getMacAddress(), key);
+        this.#record(hvac, Object.assign({ 'type': 'state' }, state));
+    }
+
+    /**
+     * Adds a record for an HVAC to the store
+     *
+     * @param {MrCoolHVAC} hvac The HVAC
+     * @param {any} values The type and values of the record
+     * @returns {Promise<void>}
+     */
+    async #record(hvac, values) {
+        const record = Object.assign({
+            'time': Date.now(),
+            'macAddress': hvac.getMacAddress()
+        }, values);
+        try {
+            await this.#store.append(record);
+        } catch (error) {
+            this.emit('recordFailed', error, record);
+        }
+    }
+
+    /**
+     * Returns the MAC address of a unit given by MAC address or name
+     *
+     * @param {string} unit The MAC address or name
+     * @returns {string}
+     */
+    #getMacAddress(unit) {
+        if (unit === undefined) return undefined;
+        const hvac = this.#api.getHVAC(unit);
+        return hvac !== undefined ? hvac.getMacAddress() : unit;
+    }
+}
+
+module.exports = {
+    MrCoolHistory: MrCoolHistory
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+
+// Constants
+const CSV_COLUMNS = ['time', 'macAddress', 'type', 'power', 'temperature',
+    'mode', 'fanSpeed', 'swing', 'turbo', 'light', 'roomTemperature'];
+const DEFAULT_MAX_RECORDS = 10000;
+
+/*
+ * History stores keep the records made by MrCoolHistory. Any object with the
+ * same append and query methods may be used instead, e.g. to keep history in
+ * a database. Records have a time in milliseconds since the epoch, a
+ * macAddress, a type of state or roomTemperature, and the state's fields or
+ * the roomTemperature.
+ */
+
+/**
+ * Returns whether a record matches a query
+ *
+ * @param {any} record The record
+ * @param {any} filter The query, see MemoryHistoryStore.query
+ * @returns {boolean}
+ */
+function matches(record, filter) {
+    return (filter.macAddress === undefined
+        || record.macAddress === filter.macAddress)
+        && (filter.type === undefined || record.type === filter.type)
+        && (filter.from === undefined || record.time >= Number(filter.from))
+        && (filter.to === undefined || record.time <= Number(filter.to));
+}
+
+/**
+ * Keeps the most recent records in memory, which are lost on restart.
+ */
+class MemoryHistoryStore {
+    #records = [];
+    #maxRecords;
+
+    /**
+     * Creates an empty store
+     *
+     * @param {any} options Optional settings. Set maxRecords to drop the
+     *      oldest records beyond that many, 10,000 by default, or Infinity to
+     *      keep every record.
+     */
+    constructor(options = {}) {
+        this.#maxRecords = options.maxRecords ?? DEFAULT_MAX_RECORDS;
+    }
+
+    /**
+     * Adds a record
+     *
+     * @param {any} record The record
+     * @returns {Promise<void>}
+     */
+    async append(record) {
+        this.#records.push(Object.assign({}, record));
+        if (this.#records.length > this.#maxRecords) {
+            this.#records.splice(0, this.#records.length - this.#maxRecords);
+        }
+    }
+
+    /**
+     * Finds records, oldest first
+     *
+     * @param {any} filter Optional macAddress, type, and from and to times,
+     *      as Dates or milliseconds since the epoch, to limit the records to
+     * @returns {Promise<any[]>}
+     */
+    async query(filter = {}) {
+        return this.#records.filter((record) => matches(record, filter))
+            .map((record) => Object.assign({}, record));
+    }
+}
+
+/**
+ * Appends records to a file, one JSON object per line.
+ */
+class JsonlHistoryStore {
+    #filePath;
+    #writing = Promise.resolve();
+
+    /**
+     * Creates a store backed by the provided file
+     *
+     * @param {string} filePath Path to the file, created if missing
+     */
+    constructor(filePath) {
+        this.#filePath = filePath;
+    }
+
+    /**
+     * Adds a record to the end of the file
+     *
+     * @param {any} record The record
+     * @returns {Promise<void>}
+     */
+    append(record) {
+        const line = JSON.stringify(Object.assign({}, record,
+            { 'time': new Date(record.time).toISOString() })) + '\n';
+
+        // Write in order, even if an earlier write failed
+        this.#writing = this.#writing.catch(() => {}).then(() =>
+            fs.promises.appendFile(this.#filePath, line));
+        return this.#writing;
+    }
+
+    /**
+     * Finds records, oldest first
+     *
+     * @param {any} filter Optional limits, see MemoryHistoryStore.query
+     * @returns {Promise<any[]>}
+     */
+    async query(filter = {}) {
+        await this.#writing.catch(() => {});
+        const lines = await readLines(this.#filePath);
+        return lines.map((line) => {
+            const record = JSON.parse(line);
+            record.time = Date.parse(record.time);
+            return record;
+        }).filter((record) => matches(record, filter));
+    }
+}
+
+/**
+ * Appends records to a CSV file with a header row, for spreadsheets and
+ * charting tools.
+ */
+class CsvHistoryStore {
+    #filePath;
+    #writing = Promise.resolve();
+
+    /**
+     * Creates a store backed by the provided file
+     *
+     * @param {string} filePath Path to the file, created with a header row if
+     *      missing
+     */
+    constructor(filePath) {
+        this.#filePath = filePath;
+    }
+
+    /**
+     * Adds a record to the end of the file
+     *
+     * @param {any} record The record
+     * @returns {Promise<void>}
+     */
+    append(record) {
+        const row = Object.assign({}, record,
+            { 'time': new Date(record.time).toISOString() });
+        const line = CSV_COLUMNS.map((column) =>
+            escapeCsv(row[column])).join(',') + '\n';
+
+        // Write in order, even if an earlier write failed
+        this.#writing = this.#writing.catch(() => {}).then(async () => {
+            let exists = true;
+            try {
+                await fs.promises.access(this.#filePath);
+            } catch (error) {
+                exists = false;
+            }
+            await fs.promises.appendFile(this.#filePath,
+                (exists ? '' : CSV_COLUMNS.join(',') + '\n') + line);
+        });
+        return this.#writing;
+    }
+
+    /**
+     * Finds records, oldest first
+     *
+     * @param {any} filter Optional limits, see MemoryHistoryStore.query
+     * @returns {Promise<any[]>}
+     */
+    async query(filter = {}) {
+        await this.#writing.catch(() => {});
+        const [header, ...lines] = await readLines(this.#filePath);
+        if (header === undefined) return [];
+        const columns = parseCsv(header);
+        return lines.map((line) => {
+            const values = parseCsv(line);
+            const record = {};
+            columns.forEach((column, index) => {
+                if (values[index] !== undefined && values[index] !== '') {
+                    record[column] = values[index];
+                }
+            });
+            record.time = Date.parse(record.time);
+            if (record.roomTemperature !== undefined) {
+                record.roomTemperature = Number(record.roomTemperature);
+            }
+            return record;
+        }).filter((record) => matches(record, filter));
+    }
+}
+
+/**
+ * Reads the non-empty lines of a file. A missing file has none.
+ *
+ * @param {string} filePath Path to the file
+ * @returns {Promise<string[]>}
+ */
+async function readLines(filePath) {
+    let contents;
+    try {
+        contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return contents.split('\n').filter((line) => line.length);
+}
+
+/**
+ * Quotes a CSV value if needed
+ *
+ * @param {any} value The value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"'
+        : text;
+}
+
+/**
+ * Splits a CSV line into its values
+ *
+ * @param {string} line The line
+ * @returns {string[]}
+ */
+function parseCsv(line) {
+    const values = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const character = line[i];
+        if (quoted) {
+            if (character === '"' && line[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                value += character;
+            }
+        } else if (character === '"') {
+            quoted = true;
+        } else if (character === ',') {
+            values.push(value);
+            value = '';
+        } else {
+            value += character;
+        }
+    }
+    values.push(value);
+    return values;
+}
+
+module.exports = {
+    MemoryHistoryStore: MemoryHistoryStore,
+    JsonlHistoryStore: JsonlHistoryStore,
+    CsvHistoryStore: CsvHistoryStore
+};
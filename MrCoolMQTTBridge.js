@@ -0,0 +1,303 @@
+const EventEmitter = require('events');
+const { InvalidCommandError } = require('./MrCoolErrors.js');
+
+// Constants
+const DEFAULT_TOPIC_PREFIX = 'mrcool';
+const DEFAULT_DISCOVERY_PREFIX = 'homeassistant';
+const ONLINE = 'online';
+const OFFLINE = 'offline';
+
+/**
+ * Connects the subscribed HVACs to an MQTT broker. Each HVAC's state and room
+ * temperature are published to its own topics, commands are taken from its
+ * command topics, and Home Assistant climate discovery configs are published
+ * so the units show up there by themselves.
+ *
+ * Topics, under the topic prefix, mrcool by default:
+ * - availability: online while the socket to the API is open, and offline
+ *      otherwise
+ * - <mac>/state: the state as JSON, as returned by MrCoolHVAC.getState, with
+ *      the roomTemperature
+ * - <mac>/room_temperature: the room temperature
+ * - <mac>/power/set: on or off
+ * - <mac>/mode/set: a mode, or off. Home Assistant's fan_only means fan.
+ * - <mac>/temperature/set: the setpoint
+ * - <mac>/fan_speed/set: a fan speed
+ *
+ * Events:
+ * - commandFailed (error, topic, payload): a command from a command topic
+ *      was rejected or failed
+ * - publishFailed (error, topic): a message could not be published
+ */
+class MrCoolMQTTBridge extends EventEmitter {
+    #api;
+    #client;
+    #prefix;
+    #discoveryPrefix;
+    #commandOptions;
+    #running = false;
+
+    #onConnected = () => this.#publishAll();
+    #onDisconnected = () => this.#publishAvailability();
+    #onStateChanged = (hvac) => this.#publishState(hvac);
+    #onRoomTemperature = (hvac) => this.#publishState(hvac);
+    #onMessage = (topic, payload) => this.#handleMessage(topic, payload);
+
+    /**
+     * Creates a bridge that does nothing until start is called
+     *
+     * @param {MrCoolAPIConnection} api The connection with the subscribed
+     *      HVACs
+     * @param {any} client An MQTT client, such as one from the mqtt package
+     * @param {any} options Optional settings:
+     *      - topicPrefix: the start of every topic, mrcool by default
+     *      - discoveryPrefix: the Home Assistant discovery prefix,
+     *        homeassistant by default, or false to publish no discovery
+     *        configs
+     *      - commandOptions: options to pass to the MrCoolHVAC setters
+     */
+    constructor(api, client, options = {}) {
+        super();
+        this.#api = api;
+        this.#client = client;
+        this.#prefix = options.topicPrefix ?? DEFAULT_TOPIC_PREFIX;
+        this.#discoveryPrefix = options.discoveryPrefix
+            ?? DEFAULT_DISCOVERY_PREFIX;
+        this.#commandOptions = options.commandOptions;
+    }
+
+    /**
+     * Connects to a broker with the mqtt package and creates a bridge using
+     * that client. The broker marks the bridge offline if it goes away
+     * without saying so. The mqtt package is an optional peer dependency, so
+     * it has to be installed alongside this one.
+     *
+     * @param {MrCoolAPIConnection} api The connection with the subscribed
+     *      HVACs
+     * @param {string} url The broker's URL, e.g. mqtt://localhost:1883
+     * @param {any} options Optional settings, see the constructor, and mqtt,
+     *      options for mqtt.connect such as username and password
+     * @returns {MrCoolMQTTBridge} The bridge, which still has to be started
+     */
+    static connect(api, url, options = {}) {
+        const mqtt = require('mqtt');
+        const prefix = options.topicPrefix ?? DEFAULT_TOPIC_PREFIX;
+        const client = mqtt.connect(url, Object.assign({
+            'will': {
+                'topic': prefix + '/availability',
+                'payload': OFFLINE,
+                'retain': true
+            }
+        }, options.mqtt));
+        return new MrCoolMQTTBridge(api, client, options);
+    }
+
+    /**
+     * Returns the MQTT client
+     *
+     * @returns {any}
+     */
+    getClient() {
+        return this.#client;
+    }
+
+    /**
+     * Starts publishing and taking commands
+     */
+    start() {
+        if (this.#running) return;
+        this.#running = true;
+        this.#api.on('connected', this.#onConnected);
+        this.#api.on('disconnected', this.#onDisconnected);
+        this.#api.on('stateChanged', this.#onStateChanged);
+        this.#api.on('roomTemperature', this.#onRoomTemperature);
+        this.#client.on('message', this.#onMessage);
+
+        // Publish everything again whenever the broker connection is made,
+        // since a restarted broker may have lost retained messages
+        this.#client.on('connect', this.#onConnected);
+        this.#client.subscribe(this.#prefix + '/+/+/set');
+        if (this.#client.connected) {
+            this.#publishAll();
+        }
+    }
+
+    /**
+     * Stops publishing and taking commands, and marks the bridge offline
+     */
+    stop() {
+        if (!this.#running) return;
+        this.#running = false;
+        this.#api.off('connected', this.#onConnected);
+        this.#api.off('disconnected', this.#onDisconnected);
+        this.#api.off('stateChanged', this.#onStateChanged);
+        this.#api.off('roomTemperature', this.#onRoomTemperature);
+        this.#client.off('message', this.#onMessage);
+        this.#client.off('connect', this.#onConnected);
+        this.#client.unsubscribe(this.#prefix + '/+/+/set');
+        this.#publish(this.#prefix + '/availability', OFFLINE);
+    }
+
+    /**
+     * Publishes the availability, and the discovery config and state of
+     * every HVAC
+     */
+    #publishAll() {
+        this.#publishAvailability();
+        this.#api.hvacs.forEach((hvac) => {
+            this.#publishDiscovery(hvac);
+            this.#publishState(hvac);
+        });
+    }
+
+    /**
+     * Publishes whether the socket to the API is open
+     */
+    #publishAvailability() {
+        this.#publish(this.#prefix + '/availability',
+            this.#api.getStatistics().connected ? ONLINE : OFFLINE);
+    }
+
+    /**
+     * Publishes an HVAC's state and room temperature
+     *
+     * @param {MrCoolHVAC} hvac The HVAC
+     */
+    #publishState(hvac) {
+        const base = this.#prefix + '/' + hvac.getMacAddress();
+        const state = Object.assign(hvac.getState(),
+            { 'roomTemperature': hvac.getRoomTemperature() });
+        this.#publish(base + '/state', JSON.stringify(state));
+        this.#publish(base + '/room_temperature',
+            String(hvac.getRoomTemperature()));
+    }
+
+    /**
+     * Publishes the Home Assistant discovery config of an HVAC
+     *
+     * @param {MrCoolHVAC} hvac The HVAC
+     */
+    #publishDiscovery(hvac) {
+        if (this.#discoveryPrefix === false) return;
+        const mac = hvac.getMacAddress();
+        const base = this.#prefix + '/' + mac;
+        const capabilities = hvac.getCapabilities();
+        const ranges = capabilities.modes
+            .map((mode) => hvac.getTemperatureRange(mode))
+            .filter((range) => range);
+        const config = {
+            'name': null,
+            'unique_id': 'mrcool_' + mac,
+            'availability_topic': this.#prefix + '/availability',
+            'mode_state_topic': base + '/state',
+            'mode_state_template': '{% if value_json.power == \'off\' %}off'
+                + '{% elif value_json.mode == \'fan\' %}fan_only'
+                + '{% else %}{{ value_json.mode }}{% endif %}',
+            'mode_command_topic': base + '/mode/set',
+            'modes': ['off'].concat(capabilities.modes.map((mode) =>
+                mode === 'fan' ? 'fan_only' : mode)),
+            'power_command_topic': base + '/power/set',
+            'payload_on': 'on',
+            'payload_off': 'off',
+            'temperature_state_topic': base + '/state',
+            'temperature_state_template': '{{ value_json.temperature }}',
+            'temperature_command_topic': base + '/temperature/set',
+            'current_temperature_topic': base + '/room_temperature',
+            'fan_mode_state_topic': base + '/state',
+            'fan_mode_state_template': '{{ value_json.fanSpeed }}',
+            'fan_mode_command_topic': base + '/fan_speed/set',
+            'fan_modes': capabilities.fanSpeeds,
+            'temperature_unit': capabilities.temperatureUnit,
+            'precision': 1.0,
+            'device': {
+                'identifiers': [mac],
+                'name': hvac.getDeviceName(),
+                'manufacturer': 'MrCool',
+                'sw_version': hvac.getFwVersion()
+            }
+        };
+        if (ranges.length) {
+            config.min_temp = Math.min(...ranges.map((range) => range.min));
+            config.max_temp = Math.max(...ranges.map((range) => range.max));
+        }
+        this.#publish(this.#discoveryPrefix + '/climate/' + mac + '/config',
+            JSON.stringify(config));
+    }
+
+    /**
+     * Publishes a retained message
+     *
+     * @param {string} topic The topic
+     * @param {string} message The message
+     */
+    #publish(topic, message) {
+        this.#client.publish(topic, message, { 'retain': true }, (error) => {
+            if (error) this.emit('publishFailed', error, topic);
+        });
+    }
+
+    /**
+     * Carries out a command from a command topic
+     *
+     * @param {string} topic The topic
+     * @param {Buffer} payload The message
+     * @returns {Promise<void>}
+     */
+    async #handleMessage(topic, payload) {
+        if (!topic.startsWith(this.#prefix + '/')) return;
+        const [mac, field, set] = topic.slice(this.#prefix.length + 1)
+            .split('/');
+        if (set !== 'set') return;
+        const hvac = this.#api.getHVAC(mac);
+        if (hvac === undefined) return;
+
+        const value = payload.toString().trim().toLowerCase();
+        const api = this.#api;
+        const options = this.#commandOptions;
+        try {
+            switch (field) {
+                case 'power':
+                    if (value === 'on') {
+                        await hvac.powerOn(api, options);
+                    } else if (value === 'off') {
+                        await hvac.powerOff(api, options);
+                    } else {
+                        throw new InvalidCommandError('Invalid power state '
+                            + JSON.stringify(value) + ', expected on or off.',
+                            'power', value);
+                    }
+                    break;
+                case 'mode':
+                    if (value === 'off') {
+                        await hvac.powerOff(api, options);
+                        break;
+                    }
+                    await hvac.setState({
+                        'mode': value === 'fan_only' ? 'fan' : value,
+                        'power': 'on'
+                    }, api, options);
+                    break;
+                case 'temperature': {
+                    const temperature = Number(value);
+                    if (value === '' || !Number.isFinite(temperature)) {
+                        throw new InvalidCommandError('Invalid temperature '
+                            + JSON.stringify(value) + ', expected a number.',
+                            'temp', value);
+                    }
+                    await hvac.setTemperature(Math.round(temperature), api,
+                        options);
+                    break;
+                }
+                case 'fan_speed':
+                    await hvac.setFanSpeed(value, api, options);
+                    break;
+            }
+        } catch (error) {
+            this.emit('commandFailed', error, topic, payload.toString());
+        }
+    }
+}
+
+module.exports = {
+    MrCoolMQTTBridge: MrCoolMQTTBridge
+};
@@ -0,0 +1,196 @@
+const http = require('http');
+
+// Constants
+const DEFAULT_PORT = 9464;
+const DEFAULT_PATH = '/metrics';
+const DEFAULT_PREFIX = 'mrcool_';
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Exports the state of the subscribed HVACs and the health of the connection
+ * in the Prometheus text format, either from its own HTTP endpoint or through
+ * render for an existing server.
+ *
+ * Per unit, labelled with mac and name: setpoint, room_temperature, power,
+ * mode and fan_speed, which are 1 for the current value's label and 0 for the
+ * others, and heartbeat_age_seconds once the unit has sent a heartbeat. For
+ * the connection: connected, reconnects_total, commands_sent_total,
+ * commands_failed_total, and ping_latency_seconds once a ping completed.
+ */
+class MrCoolMetrics {
+    #api;
+    #path;
+    #prefix;
+    #server;
+
+    /**
+     * Creates an exporter for a connection
+     *
+     * @param {MrCoolAPIConnection} api The connection
+     * @param {any} options Optional settings. Set path to where the endpoint
+     *      answers, /metrics by default, and prefix to the start of every
+     *      metric name, mrcool_ by default.
+     */
+    constructor(api, options = {}) {
+        this.#api = api;
+        this.#path = options.path ?? DEFAULT_PATH;
+        this.#prefix = options.prefix ?? DEFAULT_PREFIX;
+    }
+
+    /**
+     * Starts the HTTP endpoint
+     *
+     * @param {number} port The port to listen on, 9464 by default, or 0 for
+     *      any free port
+     * @param {string} host Optional address to listen on, every address by
+     *      default
+     * @returns {Promise<number>} A Promise containing the port listened on
+     */
+    listen(port = DEFAULT_PORT, host) {
+        this.#server = http.createServer((request, response) => {
+            const url = new URL(request.url, 'http://localhost');
+            if (request.method !== 'GET' || url.pathname !== this.#path) {
+                response.writeHead(404, { 'Content-Type': 'text/plain' });
+                response.end('Not Found');
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            response.end(this.render());
+        });
+        return new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(port, host, () =>
+                resolve(this.#server.address().port));
+        });
+    }
+
+    /**
+     * Stops the HTTP endpoint
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+        const server = this.#server;
+        this.#server = undefined;
+        if (server === undefined) return Promise.resolve();
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    /**
+     * Returns the current metrics in the Prometheus text format
+     *
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        const add = (name, type, help, samples) => {
+            if (!samples.length) return;
+            lines.push('# HELP ' + this.#prefix + name + ' ' + help);
+            lines.push('# TYPE ' + this.#prefix + name + ' ' + type);
+            samples.forEach(([labels, value]) => {
+                const text = Object.entries(labels).map(([label, content]) =>
+                    label + '="' + escapeLabel(content) + '"').join(',');
+                lines.push(this.#prefix + name + (text ? '{' + text + '}' : '')
+                    + ' ' + formatValue(value));
+            });
+        };
+
+        // Units
+        const hvacs = this.#api.hvacs;
+        const labelsOf = (hvac) => ({
+            'mac': hvac.getMacAddress(),
+            'name': hvac.getDeviceName()
+        });
+        const statistics = this.#api.getStatistics();
+        add('setpoint', 'gauge', 'Temperature setpoint of the unit.',
+            hvacs.map((hvac) => [labelsOf(hvac),
+                Number(hvac.getTemperature())]));
+        add('room_temperature', 'gauge',
+            'Room temperature reported by the unit.',
+            hvacs.map((hvac) => [labelsOf(hvac),
+                Number(hvac.getRoomTemperature())]));
+        add('power', 'gauge', 'Whether the unit is powered on.',
+            hvacs.map((hvac) => [labelsOf(hvac),
+                hvac.getPower() === 'on' ? 1 : 0]));
+        add('mode', 'gauge', 'Mode of the unit, 1 for the current one.',
+            hvacs.flatMap((hvac) => this.#enumerate(hvac, 'mode',
+                hvac.getCapabilities().modes, hvac.getMode())));
+        add('fan_speed', 'gauge',
+            'Fan speed of the unit, 1 for the current one.',
+            hvacs.flatMap((hvac) => this.#enumerate(hvac, 'fan_speed',
+                hvac.getCapabilities().fanSpeeds, hvac.getFanSpeed())));
+        add('heartbeat_age_seconds', 'gauge',
+            'Seconds since the unit last sent a heartbeat.',
+            hvacs.filter((hvac) =>
+                hvac.getMacAddress() in statistics.lastHeartbeats)
+                .map((hvac) => [labelsOf(hvac), (Date.now()
+                    - statistics.lastHeartbeats[hvac.getMacAddress()])
+                    / 1000]));
+
+        // Connection
+        add('connected', 'gauge', 'Whether the socket to the API is open.',
+            [[{}, statistics.connected ? 1 : 0]]);
+        add('reconnects_total', 'counter',
+            'Successful reconnections to the API.',
+            [[{}, statistics.reconnects]]);
+        add('commands_sent_total', 'counter', 'Command frames sent.',
+            [[{}, statistics.commandsSent]]);
+        add('commands_failed_total', 'counter',
+            'Commands that failed or were never confirmed.',
+            [[{}, statistics.commandsFailed]]);
+        if (statistics.pingLatency !== undefined) {
+            add('ping_latency_seconds', 'gauge',
+                'Time the last ping of the API took.',
+                [[{}, statistics.pingLatency / 1000]]);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Returns one sample per possible value of a setting, 1 for the current
+     * value and 0 for the others
+     *
+     * @param {MrCoolHVAC} hvac The HVAC
+     * @param {string} label The label naming the value
+     * @param {string[]} values The possible values
+     * @param {string} current The current value
+     * @returns {any[]}
+     */
+    #enumerate(hvac, label, values, current) {
+        const all = values.includes(current) ? values
+            : values.concat([current]);
+        return all.map((value) => [{
+            'mac': hvac.getMacAddress(),
+            'name': hvac.getDeviceName(),
+            [label]: value
+        }, value === current ? 1 : 0]);
+    }
+}
+
+/**
+ * Escapes a label value for the Prometheus text format
+ *
+ * @param {any} value The value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a sample value for the Prometheus text format
+ *
+ * @param {number} value The value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+module.exports = {
+    MrCoolMetrics: MrCoolMetrics
+};
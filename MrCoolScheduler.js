@@ -0,0 +1,518 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const {
+    InvalidScheduleError,
+    DeviceNotFoundError
+} = require('./MrCoolErrors.js');
+const { MrCoolGroup } = require('./MrCoolGroup.js');
+
+// Constants
+const CHECK_INTERVAL = 60 * 60 * 1000;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+    'daily': [0, 1, 2, 3, 4, 5, 6],
+    'everyday': [0, 1, 2, 3, 4, 5, 6],
+    'weekdays': [1, 2, 3, 4, 5],
+    'weekends': [0, 6]
+};
+const MODES = ['auto', 'cool', 'heat', 'dry', 'fan'];
+const STATE_FIELDS = ['power', 'mode', 'temp', 'fanspeed', 'swing', 'turbo',
+    'light'];
+
+/**
+ * Changes the settings of HVACs at set times of the week, e.g. heating to 70
+ * at 06:30 on weekdays. Times are in the system's local time, so rules keep
+ * their wall clock time across daylight saving changes. A rule whose time
+ * does not exist on the day clocks go forward fires when they do, and one
+ * whose time happens twice on the day they go back fires once.
+ *
+ * A definition holds the groups and rules:
+ *
+ *      {
+ *          "groups": { "upstairs": ["Office", "BBBBBBBBBBBB"] },
+ *          "rules": [
+ *              { "id": "morning", "group": "upstairs",
+ *                "schedule": "weekdays 06:30 heat 70" },
+ *              { "units": ["Office"], "days": ["sat", "sun"],
+ *                "time": "08:00", "state": { "power": "off" } }
+ *          ]
+ *      }
+ *
+ * Rules apply to the units listed by MAC address or name, to a group, or to
+ * every subscribed unit if neither is given. Groups are MrCoolGroups, or
+ * lists of units that become one with MrCoolGroup.fromUnits when a rule
+ * fires, and rules are carried out through them.
+ *
+ * Events:
+ * - ruleFired (rule, hvac, state): a rule changed a unit's settings, where
+ *      state is the unit's resulting state
+ * - ruleFailed (rule, hvac, error): a rule could not be applied to a unit,
+ *      or to any unit if hvac is undefined
+ */
+class MrCoolScheduler extends EventEmitter {
+    #api;
+    #commandOptions;
+
+    /**
+     * The groups, each a MrCoolGroup or the units of one, keyed by name
+     *
+     * @type {Map<string, MrCoolGroup|string[]>}
+     */
+    #groups = new Map();
+
+    /**
+     * The rules, each with its definition, parsed schedule, and next run
+     *
+     * @type {{definition: any, days: number[], hour: number, minute: number,
+     *      state: any, next: Date}[]}
+     */
+    #rules = [];
+    #ruleCount = 0;
+    #timer;
+    #running = false;
+
+    /**
+     * Creates a scheduler that is stopped until start is called
+     *
+     * @param {MrCoolAPIConnection} api The connection with the subscribed
+     *      HVACs
+     * @param {any} definition Optional groups and rules, see above
+     * @param {any} options Optional settings. Set commandOptions to the
+     *      options to pass to MrCoolGroup.setState.
+     */
+    constructor(api, definition = {}, options = {}) {
+        super();
+        this.#api = api;
+        this.#commandOptions = options.commandOptions;
+        Object.entries(definition.groups ?? {}).forEach(([name, group]) =>
+            this.setGroup(name, group));
+        (definition.rules ?? []).forEach((rule) => this.addRule(rule));
+    }
+
+    /**
+     * Creates a scheduler from a JSON definition file
+     *
+     * @param {MrCoolAPIConnection} api The connection with the subscribed
+     *      HVACs
+     * @param {string} filePath Path to the definition file
+     * @param {any} options Optional settings, see the constructor
+     * @returns {Promise<MrCoolScheduler>}
+     */
+    static async load(api, filePath, options) {
+        const definition = JSON.parse(await fs.promises.readFile(filePath,
+            'utf8'));
+        return new MrCoolScheduler(api, definition, options);
+    }
+
+    /**
+     * Writes the groups and rules to a JSON definition file
+     *
+     * @param {string} filePath Path to the definition file
+     * @returns {Promise<void>}
+     */
+    async save(filePath) {
+        await fs.promises.writeFile(filePath, JSON.stringify({
+            'groups': this.getGroups(),
+            'rules': this.getRules()
+        }, null, 2));
+    }
+
+    /**
+     * Defines or replaces a group of units
+     *
+     * @param {string} name The name rules refer to the group by
+     * @param {MrCoolGroup|string[]} group The group, or MAC addresses or
+     *      names of its units
+     */
+    setGroup(name, group) {
+        if (group instanceof MrCoolGroup) {
+            this.#groups.set(name, group);
+            return;
+        }
+        if (!Array.isArray(group)) {
+            throw new InvalidScheduleError('Group ' + name + ' must be a '
+                + 'MrCoolGroup or list its units.', group);
+        }
+        this.#groups.set(name, group.slice());
+    }
+
+    /**
+     * Returns the units of each group by MAC address or name, keyed by name
+     *
+     * @returns {any}
+     */
+    getGroups() {
+        return Object.fromEntries([...this.#groups].map(([name, group]) =>
+            [name, group instanceof MrCoolGroup
+                ? group.getHVACs().map((hvac) => hvac.getMacAddress())
+                : group.slice()]));
+    }
+
+    /**
+     * Adds a rule, given as a definition or as a schedule string such as
+     * "weekdays 06:30 heat 70". A schedule is the days, the time, and the
+     * settings. Days are daily, weekdays, weekends, or day names separated by
+     * commas, with ranges like mon-fri. Settings are a mode, which also
+     * powers the unit on, a temperature, on or off, and field=value for any
+     * of power, mode, temp, fanspeed, swing, turbo, and light.
+     *
+     * @param {any} rule The rule
+     * @returns {any} The rule's definition, including its id
+     */
+    addRule(rule) {
+        const entry = this.#parseRule(rule);
+        if (this.#rules.some((existing) =>
+            existing.definition.id === entry.definition.id)) {
+            throw new InvalidScheduleError('Duplicate rule id '
+                + entry.definition.id + '.', rule);
+        }
+        this.#rules.push(entry);
+        if (this.#running) {
+            entry.next = this.#getNextRun(entry, new Date());
+            this.#schedule();
+        }
+        return Object.assign({}, entry.definition);
+    }
+
+    /**
+     * Removes a rule
+     *
+     * @param {string} id The rule's id
+     * @returns {boolean} Whether the rule existed
+     */
+    removeRule(id) {
+        const count = this.#rules.length;
+        this.#rules = this.#rules.filter((entry) =>
+            entry.definition.id !== id);
+        this.#schedule();
+        return this.#rules.length !== count;
+    }
+
+    /**
+     * Returns the definitions of the rules
+     *
+     * @returns {any[]}
+     */
+    getRules() {
+        return this.#rules.map((entry) =>
+            JSON.parse(JSON.stringify(entry.definition)));
+    }
+
+    /**
+     * Returns when each enabled rule runs next, soonest first
+     *
+     * @param {Date} from Optional time to look from, now by default
+     * @returns {{rule: any, date: Date}[]}
+     */
+    getNextRuns(from = new Date()) {
+        return this.#rules
+            .filter((entry) => entry.definition.enabled !== false)
+            .map((entry) => ({
+                'rule': JSON.parse(JSON.stringify(entry.definition)),
+                'date': this.#getNextRun(entry, from)
+            }))
+            .sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Starts running the rules as their times come. Times that passed while
+     * stopped are not caught up on.
+     */
+    start() {
+        if (this.#running) return;
+        this.#running = true;
+        const now = new Date();
+        this.#rules.forEach((entry) => {
+            entry.next = this.#getNextRun(entry, now);
+        });
+        this.#schedule();
+    }
+
+    /**
+     * Stops running the rules
+     */
+    stop() {
+        this.#running = false;
+        clearTimeout(this.#timer);
+        this.#timer = undefined;
+    }
+
+    /**
+     * Applies a rule now, regardless of its schedule
+     *
+     * @param {string} id The rule's id
+     * @returns {Promise<void>} A Promise containing nothing once the rule was
+     *      applied to every unit, with failures reported by ruleFailed
+     */
+    async runRule(id) {
+        const entry = this.#rules.find((entry) => entry.definition.id === id);
+        if (entry === undefined) {
+            throw new InvalidScheduleError('No rule with id ' + id + '.', id);
+        }
+        return this.#fire(entry);
+    }
+
+    /**
+     * Sets a timer for the next rule to run. The timer never waits longer
+     * than CHECK_INTERVAL so a change of the system clock or a sleep is
+     * noticed.
+     */
+    #schedule() {
+        clearTimeout(this.#timer);
+        this.#timer = undefined;
+        if (!this.#running) return;
+
+        const times = this.#rules
+            .filter((entry) => entry.definition.enabled !== false)
+            .map((entry) => entry.next.getTime());
+        const delay = times.length ? Math.min(...times) - Date.now()
+            : CHECK_INTERVAL;
+        this.#timer = setTimeout(() => {
+            this.#timer = undefined;
+            this.#runDueRules();
+        }, Math.min(Math.max(delay, 0), CHECK_INTERVAL));
+    }
+
+    /**
+     * Fires the rules whose time has come, once each however late, and
+     * schedules the next check.
+     */
+    #runDueRules() {
+        const now = new Date();
+        this.#rules.forEach((entry) => {
+            if (entry.definition.enabled === false || entry.next > now) return;
+            entry.next = this.#getNextRun(entry, now);
+            this.#fire(entry);
+        });
+        this.#schedule();
+    }
+
+    /**
+     * Applies a rule to each of its units through a group
+     *
+     * @param {any} entry The rule
+     * @returns {Promise<void>}
+     */
+    async #fire(entry) {
+        const rule = JSON.parse(JSON.stringify(entry.definition));
+        let group;
+        try {
+            group = this.#resolveGroup(rule);
+        } catch (error) {
+            this.emit('ruleFailed', rule, undefined, error);
+            return;
+        }
+
+        const { succeeded, failed } = await group.setState(entry.state,
+            this.#api, this.#commandOptions);
+        succeeded.forEach(({ hvac, result }) =>
+            this.emit('ruleFired', rule, hvac, result));
+        failed.forEach(({ hvac, error }) =>
+            this.emit('ruleFailed', rule, hvac, error));
+    }
+
+    /**
+     * Finds the group a rule applies to, making one of the subscribed units
+     * if the rule lists units or a group's units. Units that are not
+     * subscribed are reported with ruleFailed and skipped.
+     *
+     * @param {any} rule The rule's definition
+     * @returns {MrCoolGroup}
+     */
+    #resolveGroup(rule) {
+        let units = rule.units;
+        if (rule.group !== undefined) {
+            const group = this.#groups.get(rule.group);
+            if (group === undefined) {
+                throw new InvalidScheduleError('Unknown group ' + rule.group
+                    + '.', rule);
+            }
+            if (group instanceof MrCoolGroup) return group;
+            units = group;
+        }
+        if (units === undefined) {
+            return new MrCoolGroup(rule.id, this.#api.hvacs);
+        }
+
+        const missing = units.filter((unit) =>
+            this.#api.getHVAC(unit) === undefined);
+        if (missing.length) {
+            this.emit('ruleFailed', rule, undefined, new DeviceNotFoundError(
+                'Units not subscribed: ' + missing.join(', '), missing));
+        }
+        return MrCoolGroup.fromUnits(this.#api, rule.group ?? rule.id,
+            units.filter((unit) => !missing.includes(unit)));
+    }
+
+    /**
+     * Returns the first time after a moment that a rule runs
+     *
+     * @param {any} entry The rule
+     * @param {Date} from The moment to look from
+     * @returns {Date}
+     */
+    #getNextRun(entry, from) {
+        // Building each day's time from its local date keeps the wall clock
+        // time across daylight saving changes
+        for (let offset = 0; ; offset++) {
+            const date = new Date(from.getFullYear(), from.getMonth(),
+                from.getDate() + offset, entry.hour, entry.minute);
+            if (date > from && entry.days.includes(date.getDay())) {
+                return date;
+            }
+        }
+    }
+
+    /**
+     * Checks a rule and extracts its schedule
+     *
+     * @param {any} rule The rule, as a definition or schedule string
+     * @returns {any} The parsed rule
+     */
+    #parseRule(rule) {
+        if (typeof rule === 'string') {
+            rule = { 'schedule': rule };
+        }
+        if (typeof rule !== 'object' || rule === null) {
+            throw new InvalidScheduleError('A rule must be an object or a '
+                + 'schedule string.', rule);
+        }
+
+        let days = rule.days;
+        let time = rule.time;
+        let state = rule.state;
+        if (rule.schedule !== undefined) {
+            const tokens = String(rule.schedule).trim().split(/\s+/);
+            if (tokens.length < 3) {
+                throw new InvalidScheduleError('Schedule ' + rule.schedule
+                    + ' needs days, a time, and settings.', rule);
+            }
+            [days, time] = tokens;
+            state = Object.assign(this.#parseSettings(tokens.slice(2), rule),
+                rule.state);
+        }
+
+        // Check the times and settings
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time ?? '');
+        if (match === null || Number(match[1]) > 23
+            || Number(match[2]) > 59) {
+            throw new InvalidScheduleError('Invalid time ' + time
+                + ', expected HH:MM.', rule);
+        }
+        if (typeof state !== 'object' || state === null
+            || !Object.keys(state).length) {
+            throw new InvalidScheduleError('A rule needs settings to '
+                + 'change.', rule);
+        }
+        const unknown = Object.keys(state).find((field) =>
+            !STATE_FIELDS.includes(field));
+        if (unknown !== undefined) {
+            throw new InvalidScheduleError('Unknown setting ' + unknown + '.',
+                rule);
+        }
+        if (rule.units !== undefined && !Array.isArray(rule.units)) {
+            throw new InvalidScheduleError('The units of a rule must be a '
+                + 'list.', rule);
+        }
+
+        return {
+            'definition': Object.assign({
+                'id': rule.id ?? this.#generateId()
+            }, rule),
+            'days': this.#parseDays(days, rule),
+            'hour': Number(match[1]),
+            'minute': Number(match[2]),
+            'state': Object.fromEntries(Object.entries(state).map(
+                ([field, value]) => [field, String(value)])),
+            'next': undefined
+        };
+    }
+
+    /**
+     * Generates an id for a rule that does not have one, skipping ids already
+     * taken by rules loaded from a definition file
+     *
+     * @returns {string} The id
+     */
+    #generateId() {
+        let id;
+        do {
+            id = 'rule-' + ++this.#ruleCount;
+        } while (this.#rules.some((entry) => entry.definition.id === id));
+        return id;
+    }
+
+    /**
+     * Parses the days of a rule, e.g. weekdays, sat,sun, or mon-thu
+     *
+     * @param {string|string[]} days The days
+     * @param {any} rule The rule, for errors
+     * @returns {number[]} The days, 0 being Sunday
+     */
+    #parseDays(days, rule) {
+        const parts = (Array.isArray(days) ? days : String(days ?? '')
+            .split(',')).map((part) => String(part).trim().toLowerCase());
+        const dayOf = (name) => {
+            const day = DAY_NAMES.indexOf(name.slice(0, 3));
+            if (day === -1 || name.length < 3) {
+                throw new InvalidScheduleError('Unknown day ' + name + '.',
+                    rule);
+            }
+            return day;
+        };
+
+        const result = new Set();
+        parts.forEach((part) => {
+            if (part in DAY_SETS) {
+                DAY_SETS[part].forEach((day) => result.add(day));
+            } else if (part.includes('-')) {
+                // Ranges may wrap around the end of the week, e.g. fri-mon
+                const [first, last] = part.split('-').map(dayOf);
+                for (let day = first; ; day = (day + 1) % 7) {
+                    result.add(day);
+                    if (day === last) break;
+                }
+            } else {
+                result.add(dayOf(part));
+            }
+        });
+        if (!result.size) {
+            throw new InvalidScheduleError('A rule needs days to run on.',
+                rule);
+        }
+        return [...result].sort((a, b) => a - b);
+    }
+
+    /**
+     * Parses the settings of a schedule string, e.g. heat 70 fanspeed=low
+     *
+     * @param {string[]} tokens The settings
+     * @param {any} rule The rule, for errors
+     * @returns {any} The state to change to
+     */
+    #parseSettings(tokens, rule) {
+        const state = {};
+        tokens.forEach((token) => {
+            const lower = token.toLowerCase();
+            if (lower === 'on' || lower === 'off') {
+                state.power = lower;
+            } else if (MODES.includes(lower)) {
+                state.mode = lower;
+                state.power = state.power ?? 'on';
+            } else if (/^\d+$/.test(lower)) {
+                state.temp = lower;
+            } else if (lower.includes('=')) {
+                const [field, value] = lower.split('=');
+                state[field] = value;
+            } else {
+                throw new InvalidScheduleError('Unknown setting ' + token
+                    + '.', rule);
+            }
+        });
+        return state;
+    }
+}
+
+module.exports = {
+    MrCoolScheduler: MrCoolScheduler
+};
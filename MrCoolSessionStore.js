@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Constants
+const DEFAULT_SESSION_FILE = path.join(os.homedir(), '.config', 'mrcool',
+    'sessions.json');
+
+/**
+ * Stores sessions in a JSON file so they survive restarts. The file holds
+ * session cookies and tokens, so it is only readable by its owner.
+ *
+ * Any object with the same load, save, and clear methods may be given to
+ * MrCoolAPIConnection instead, e.g. to keep sessions in a database.
+ */
+class FileSessionStore {
+    #filePath;
+    #updating = Promise.resolve();
+
+    /**
+     * Creates a store backed by the provided file
+     *
+     * @param {string} filePath Path to the file, created if missing. Defaults
+     *      to ~/.config/mrcool/sessions.json.
+     */
+    constructor(filePath = DEFAULT_SESSION_FILE) {
+        this.#filePath = filePath;
+    }
+
+    /**
+     * Returns the file the sessions are stored in
+     *
+     * @returns {string}
+     */
+    getFilePath() {
+        return this.#filePath;
+    }
+
+    /**
+     * Loads a stored session
+     *
+     * @param {string} key Identifies the session, e.g. host and username
+     * @returns {Promise<any>} A Promise containing the session, or undefined
+     *      if none is stored
+     */
+    async load(key) {
+        const sessions = await this.#read();
+        return sessions[key];
+    }
+
+    /**
+     * Stores a session, replacing any stored under the same key
+     *
+     * @param {string} key Identifies the session
+     * @param {any} session The session, which must be serializable as JSON
+     * @returns {Promise<void>}
+     */
+    save(key, session) {
+        return this.#update((sessions) => {
+            sessions[key] = session;
+            return true;
+        });
+    }
+
+    /**
+     * Removes a stored session
+     *
+     * @param {string} key Identifies the session
+     * @returns {Promise<void>}
+     */
+    clear(key) {
+        return this.#update((sessions) => {
+            if (!(key in sessions)) return false;
+            delete sessions[key];
+            return true;
+        });
+    }
+
+    /**
+     * Reads the sessions, changes them, and writes them back, one update at
+     * a time so overlapping saves do not undo each other
+     *
+     * @param {Function} change Called with the sessions to change them,
+     *      returning whether anything changed
+     * @returns {Promise<void>}
+     */
+    #update(change) {
+        const update = this.#updating.catch(() => {}).then(async () => {
+            const sessions = await this.#read();
+            if (change(sessions)) await this.#write(sessions);
+        });
+        this.#updating = update;
+        return update;
+    }
+
+    /**
+     * Reads every stored session. A missing or unreadable file holds none.
+     *
+     * @returns {Promise<any>}
+     */
+    async #read() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.#filePath,
+                'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Replaces the file with the provided sessions. Writes to a temporary
+     * file of its own first so a crash, or another process saving at the
+     * same time, never leaves a partial file behind.
+     *
+     * @param {any} sessions The sessions to write
+     * @returns {Promise<void>}
+     */
+    async #write(sessions) {
+        await fs.promises.mkdir(path.dirname(this.#filePath),
+            { 'recursive': true });
+        const temporaryPath = this.#filePath + '.' + process.pid + '.'
+            + crypto.randomBytes(6).toString('hex') + '.tmp';
+        await fs.promises.writeFile(temporaryPath,
+            JSON.stringify(sessions, null, 2), { 'mode': 0o600 });
+        await fs.promises.rename(temporaryPath, this.#filePath);
+    }
+}
+
+module.exports = {
+    FileSessionStore: FileSessionStore
+};
@@ -0,0 +1,318 @@
+const EventEmitter = require('events');
+
+// Constants
+const DEFAULT_HYSTERESIS = 0.5;
+const DEFAULT_MIN_ON_TIME = 5 * 60 * 1000;
+const DEFAULT_MIN_OFF_TIME = 5 * 60 * 1000;
+const DEFAULT_STALE_AFTER = 10 * 60 * 1000;
+const DEFAULT_INTERVAL = 60 * 1000;
+const DEFAULT_SETPOINT_OFFSET = 4;
+const MODES = ['heat', 'cool'];
+const CONTROLS = ['power', 'setpoint'];
+
+/**
+ * Holds a target temperature using readings from an external sensor instead
+ * of the one in the unit's head, which is often several degrees off from
+ * where people are. Readings are pushed with report, e.g. from a sensor's
+ * events, or polled from a source callback. When no reading arrives for a
+ * while, the unit's own room temperature is used until one does.
+ *
+ * The thermostat calls for heating or cooling once the temperature is past
+ * the target by the hysteresis, and stops once it is past the target by the
+ * hysteresis the other way. It controls the unit either by powering it on
+ * and off, or by keeping it on and moving its setpoint above or below the
+ * target. Either way, it never switches sooner than the minimum on and off
+ * times after the last switch, to protect the compressor.
+ *
+ * Events:
+ * - calling (calling, temperature, source): the thermostat started or
+ *      stopped calling for heating or cooling, where source is external or
+ *      unit depending on the sensor the temperature came from
+ * - sensorStale (temperature): the last external reading is too old, so the
+ *      unit's own sensor is used
+ * - sensorRestored (temperature): external readings arrived again
+ * - sensorFailed (error): the source callback failed
+ * - controlFailed (error): changing the unit's settings failed, which is
+ *      tried again with the next reading
+ */
+class MrCoolThermostat extends EventEmitter {
+    #hvac;
+    #api;
+    #target;
+    #mode;
+    #control;
+    #hysteresis;
+    #minOnTime;
+    #minOffTime;
+    #staleAfter;
+    #interval;
+    #setpointOffset;
+    #source;
+    #commandOptions;
+
+    // Control state
+    #reading;
+    #readingTime;
+    #stale = false;
+    #calling;
+    #lastSwitch;
+    #busy = false;
+    #evaluateAgain = false;
+    #running = false;
+    #timer;
+    #deferTimer;
+    #onRoomTemperature = () => this.#evaluate();
+
+    /**
+     * Creates a thermostat for an HVAC, which is stopped until start is
+     * called
+     *
+     * @param {MrCoolHVAC} hvac The HVAC to control
+     * @param {MrCoolAPIConnection} api The API to send commands through
+     * @param {any} options Settings:
+     *      - target: the temperature to hold, in the unit's temperature unit
+     *      - mode: heat or cool, heat by default
+     *      - control: power to switch the unit on and off, or setpoint to
+     *        keep it on and move its setpoint, power by default
+     *      - hysteresis: degrees past the target before switching, 0.5 by
+     *        default
+     *      - minOnTime and minOffTime: milliseconds the unit stays on or off
+     *        after switching, five minutes each by default
+     *      - staleAfter: milliseconds after which an external reading is too
+     *        old to use, ten minutes by default
+     *      - source: optional function returning a reading, or a Promise of
+     *        one, polled every interval
+     *      - interval: milliseconds between polls and staleness checks, a
+     *        minute by default
+     *      - setpointOffset: degrees above or below the target to set the
+     *        unit to when controlling the setpoint, 4 by default
+     *      - commandOptions: options to pass to MrCoolHVAC.setState
+     */
+    constructor(hvac, api, options = {}) {
+        super();
+        this.#hvac = hvac;
+        this.#api = api;
+        this.#mode = options.mode ?? 'heat';
+        this.#control = options.control ?? 'power';
+        this.#hysteresis = options.hysteresis ?? DEFAULT_HYSTERESIS;
+        this.#minOnTime = options.minOnTime ?? DEFAULT_MIN_ON_TIME;
+        this.#minOffTime = options.minOffTime ?? DEFAULT_MIN_OFF_TIME;
+        this.#staleAfter = options.staleAfter ?? DEFAULT_STALE_AFTER;
+        this.#interval = options.interval ?? DEFAULT_INTERVAL;
+        this.#setpointOffset = options.setpointOffset
+            ?? DEFAULT_SETPOINT_OFFSET;
+        this.#source = options.source;
+        this.#commandOptions = options.commandOptions;
+        if (!MODES.includes(this.#mode)) {
+            throw new TypeError('Thermostat mode must be heat or cool.');
+        }
+        if (!CONTROLS.includes(this.#control)) {
+            throw new TypeError('Thermostat control must be power or '
+                + 'setpoint.');
+        }
+        this.setTarget(options.target);
+    }
+
+    /**
+     * Starts holding the target
+     */
+    start() {
+        if (this.#running) return;
+        this.#running = true;
+
+        // A unit already running in the mode is taken to be calling
+        const state = this.#hvac.getState();
+        this.#calling = this.#control === 'power'
+            ? state.power === 'on' && state.mode === this.#mode : undefined;
+        this.#hvac.on('roomTemperature', this.#onRoomTemperature);
+        this.#timer = setInterval(() => this.#poll(), this.#interval);
+        this.#poll();
+    }
+
+    /**
+     * Stops holding the target, leaving the unit as it is
+     */
+    stop() {
+        this.#running = false;
+        this.#hvac.off('roomTemperature', this.#onRoomTemperature);
+        clearInterval(this.#timer);
+        this.#timer = undefined;
+        clearTimeout(this.#deferTimer);
+        this.#deferTimer = undefined;
+    }
+
+    /**
+     * Changes the temperature to hold
+     *
+     * @param {number} target The temperature, in the unit's temperature unit
+     */
+    setTarget(target) {
+        if (typeof target !== 'number' || !isFinite(target)) {
+            throw new TypeError('Thermostat target must be a number.');
+        }
+        this.#target = target;
+        this.#evaluate();
+    }
+
+    /**
+     * Returns the temperature being held
+     *
+     * @returns {number}
+     */
+    getTarget() {
+        return this.#target;
+    }
+
+    /**
+     * Returns whether the thermostat is calling for heating or cooling, or
+     * undefined if that is not known yet
+     *
+     * @returns {boolean}
+     */
+    isCalling() {
+        return this.#calling;
+    }
+
+    /**
+     * Provides a reading from the external sensor
+     *
+     * @param {number} temperature The temperature, in the unit's temperature
+     *      unit
+     */
+    report(temperature) {
+        if (typeof temperature !== 'number' || !isFinite(temperature)) {
+            throw new TypeError('Temperature reading must be a number.');
+        }
+        this.#reading = temperature;
+        this.#readingTime = Date.now();
+        this.#evaluate();
+    }
+
+    /**
+     * Returns the temperature to control by, from the external sensor while
+     * its readings are fresh and from the unit otherwise
+     *
+     * @returns {{temperature: number, source: string}}
+     */
+    getTemperature() {
+        const fresh = this.#readingTime !== undefined
+            && Date.now() - this.#readingTime <= this.#staleAfter;
+        if (fresh && this.#stale) {
+            this.#stale = false;
+            this.emit('sensorRestored', this.#reading);
+        } else if (!fresh && !this.#stale && this.#readingTime !== undefined) {
+            this.#stale = true;
+            this.emit('sensorStale', this.#reading);
+        }
+        return fresh
+            ? { 'temperature': this.#reading, 'source': 'external' }
+            : { 'temperature': Number(this.#hvac.getRoomTemperature()),
+                'source': 'unit' };
+    }
+
+    /**
+     * Reads the source, if there is one, and checks the temperature
+     *
+     * @returns {Promise<void>}
+     */
+    async #poll() {
+        if (this.#source !== undefined) {
+            try {
+                this.report(await this.#source());
+                return;
+            } catch (error) {
+                this.emit('sensorFailed', error);
+            }
+        }
+        this.#evaluate();
+    }
+
+    /**
+     * Switches the unit if the temperature calls for it and the minimum on
+     * or off time has passed.
+     *
+     * @returns {Promise<void>}
+     */
+    async #evaluate() {
+        if (!this.#running) return;
+        if (this.#busy) {
+            // Check the latest reading once the command in flight is done
+            this.#evaluateAgain = true;
+            return;
+        }
+        const { temperature, source } = this.getTemperature();
+        if (isNaN(temperature)) return;
+
+        // Switch only once past the target by the hysteresis
+        const sign = this.#mode === 'heat' ? 1 : -1;
+        const error = sign * (this.#target - temperature);
+        let calling = this.#calling;
+        if (error >= this.#hysteresis) {
+            calling = true;
+        } else if (error <= -this.#hysteresis) {
+            calling = false;
+        }
+        if (calling === undefined || calling === this.#calling) return;
+
+        // Protect the compressor, checking again once allowed
+        const minimum = this.#calling ? this.#minOnTime : this.#minOffTime;
+        const wait = this.#lastSwitch === undefined ? 0
+            : this.#lastSwitch + minimum - Date.now();
+        if (wait > 0) {
+            if (this.#deferTimer === undefined) {
+                this.#deferTimer = setTimeout(() => {
+                    this.#deferTimer = undefined;
+                    this.#evaluate();
+                }, wait);
+            }
+            return;
+        }
+
+        this.#busy = true;
+        try {
+            await this.#hvac.setState(this.#getState(calling), this.#api,
+                this.#commandOptions);
+            this.#calling = calling;
+            this.#lastSwitch = Date.now();
+            this.emit('calling', calling, temperature, source);
+        } catch (error) {
+            this.emit('controlFailed', error);
+        } finally {
+            this.#busy = false;
+        }
+        if (this.#evaluateAgain) {
+            this.#evaluateAgain = false;
+            this.#evaluate();
+        }
+    }
+
+    /**
+     * Returns the settings that make the unit call for heating or cooling,
+     * or stop
+     *
+     * @param {boolean} calling Whether to call for heating or cooling
+     * @returns {any}
+     */
+    #getState(calling) {
+        if (this.#control === 'power') {
+            return calling ? {
+                'power': 'on',
+                'mode': this.#mode,
+                'temp': Math.round(this.#target)
+            } : { 'power': 'off' };
+        }
+
+        // Drive the unit by setting it past the target either way
+        const sign = (this.#mode === 'heat') === calling ? 1 : -1;
+        let temp = Math.round(this.#target + sign * this.#setpointOffset);
+        const range = this.#hvac.getTemperatureRange(this.#mode);
+        if (range) {
+            temp = Math.min(Math.max(temp, range.min), range.max);
+        }
+        return { 'power': 'on', 'mode': this.#mode, 'temp': temp };
+    }
+}
+
+module.exports = {
+    MrCoolThermostat: MrCoolThermostat
+};
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/**
+ * Includes
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const commandLineArgs = require('command-line-args');
+const {
+    MrCoolAPIConnection,
+    MrCoolCapture,
+    InvalidCredentialsError,
+    InvalidCommandError,
+    DeviceNotFoundError
+} = require('../MrCool.js');
+
+/**
+ * Constants
+ */
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_AUTHENTICATION = 3;
+const EXIT_NOT_FOUND = 4;
+const DEFAULT_CONFIG = path.join(os.homedir(), '.config', 'mrcool',
+    'config.json');
+const COMMON_OPTIONS = [
+    { name: 'json', type: Boolean },
+    { name: 'config', alias: 'c', type: String },
+    { name: 'capture', type: String }
+];
+const COMMAND_OPTIONS = {
+    'devices': [],
+    'status': [
+        { name: 'unit', type: String, defaultOption: true }
+    ],
+    'set': [
+        { name: 'unit', type: String, defaultOption: true },
+        { name: 'power', type: String },
+        { name: 'mode', type: String },
+        { name: 'temp', type: String },
+        { name: 'fan', type: String },
+        { name: 'swing', type: String },
+        { name: 'turbo', type: String },
+        { name: 'light', type: String },
+        { name: 'timeout', type: Number }
+    ],
+    'watch': [
+        { name: 'unit', type: String, defaultOption: true }
+    ]
+};
+const USAGE = `Usage: mrcool <command> [options]
+
+Commands:
+  devices                   List the units on the account
+  status [unit]             Show the state of every unit, or one unit
+  set <unit> [settings]     Change a unit's settings, waiting for the unit to
+                            confirm them
+      --power on|off
+      --mode auto|cool|heat|dry|fan
+      --temp <degrees>
+      --fan auto|low|medium|high
+      --swing, --turbo, --light
+      --timeout <ms>        How long to wait for confirmation
+  watch [unit]              Stream updates until interrupted
+
+Units may be given by MAC address or name.
+
+Options:
+  --json                    Print JSON instead of text
+  -c, --config <path>       Config file, defaults to ${DEFAULT_CONFIG}
+  --capture <path>          Record the traffic to a file, with credentials
+                            redacted, to attach to a bug report
+
+Credentials are read from the MRCOOL_USERNAME, MRCOOL_PASSWORD, and MRCOOL_IP
+environment variables, or from the username, password, and ip fields of the
+config file. The IP is optional. The connection field of the config file is
+passed to MrCoolAPIConnection.
+`;
+
+/**
+ * Raised for command line mistakes.
+ */
+class UsageError extends Error {
+}
+
+/**
+ * Reads the settings from the config file and environment. The environment
+ * takes precedence.
+ *
+ * @param {string} configPath Path to the config file, if given
+ * @param {any} env The environment variables
+ * @returns {Promise<any>} The username, password, ip, and connection options
+ */
+async function loadSettings(configPath, env) {
+    const file = configPath ?? env.MRCOOL_CONFIG ?? DEFAULT_CONFIG;
+    let config = {};
+    try {
+        config = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        // Only a missing default config file is fine
+        if (error.code !== 'ENOENT' || file !== DEFAULT_CONFIG) {
+            throw new UsageError('Unable to read config file ' + file + ': '
+                + error.message);
+        }
+    }
+
+    const settings = {
+        'username': env.MRCOOL_USERNAME ?? config.username,
+        'password': env.MRCOOL_PASSWORD ?? config.password,
+        'ip': env.MRCOOL_IP ?? config.ip,
+        'connection': config.connection ?? {}
+    };
+    if (!settings.username || !settings.password) {
+        throw new UsageError('No credentials found. Set MRCOOL_USERNAME and '
+            + 'MRCOOL_PASSWORD or add them to ' + file + '.');
+    }
+    return settings;
+}
+
+/**
+ * Finds the MAC address of a unit by MAC address or name
+ *
+ * @param {any[]} devices The devices on the account
+ * @param {string} unit The MAC address or name
+ * @returns {string}
+ */
+function resolveUnit(devices, unit) {
+    const search = unit.toLowerCase();
+    const device = devices.find((device) =>
+        device.macAddress.toLowerCase() === search)
+        ?? devices.find((device) =>
+            String(device.deviceName).toLowerCase() === search);
+    if (device === undefined) {
+        throw new DeviceNotFoundError('No unit named ' + unit + '.', [unit]);
+    }
+    return device.macAddress;
+}
+
+/**
+ * Returns a plain object describing an HVAC
+ *
+ * @param {MrCoolHVAC} hvac The HVAC
+ * @returns {any}
+ */
+function describe(hvac) {
+    return Object.assign({
+        'deviceName': hvac.getDeviceName(),
+        'macAddress': hvac.getMacAddress()
+    }, hvac.getState(), {
+        'roomTemperature': hvac.getRoomTemperature()
+    });
+}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv The arguments, without the node and script paths
+ * @param {any} io Optional overrides: env, stdout, stderr, and signal, an
+ *      AbortSignal that ends the watch command
+ * @returns {Promise<number>} The exit code
+ */
+async function main(argv, io = {}) {
+    const env = io.env ?? process.env;
+    const stdout = io.stdout ?? process.stdout;
+    const stderr = io.stderr ?? process.stderr;
+    const print = (text) => stdout.write(text + '\n');
+
+    let api;
+    let capture;
+    try {
+        // Parse the command, then its options
+        const { command, _unknown: rest = [] } = commandLineArgs(
+            [{ name: 'command', defaultOption: true }],
+            { argv, stopAtFirstUnknown: true });
+        if (command === undefined || command === 'help') {
+            stdout.write(USAGE);
+            return command === undefined ? EXIT_USAGE : EXIT_SUCCESS;
+        }
+        if (!(command in COMMAND_OPTIONS)) {
+            throw new UsageError('Unknown command ' + command + '.');
+        }
+        let options;
+        try {
+            options = commandLineArgs(
+                COMMAND_OPTIONS[command].concat(COMMON_OPTIONS),
+                { argv: rest });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        if (command === 'set' && options.unit === undefined) {
+            throw new UsageError('The set command needs a unit.');
+        }
+
+        // Connect, only reconnecting when watching
+        const settings = await loadSettings(options.config, env);
+        const connection = Object.assign({}, settings.connection,
+            { 'reconnect': command === 'watch' });
+        if (options.capture !== undefined) {
+            capture = new MrCoolCapture(options.capture);
+            connection.capture = capture;
+        }
+        api = new MrCoolAPIConnection(connection);
+        await api.establishConnection(settings.username, settings.password,
+            settings.ip);
+
+        const devices = await api.listDevices();
+        if (command === 'devices') {
+            if (options.json) {
+                print(JSON.stringify(devices, null, 2));
+            } else {
+                devices.forEach((device) => {
+                    print([device.deviceName, device.macAddress,
+                        device.online ? 'online' : 'offline',
+                        device.fwVersion].join('\t'));
+                });
+            }
+            return EXIT_SUCCESS;
+        }
+
+        const macAddresses = options.unit !== undefined
+            ? [resolveUnit(devices, options.unit)] : undefined;
+        await api.subscribeToHVACs(macAddresses);
+
+        switch (command) {
+            case 'status':
+                if (options.json) {
+                    print(JSON.stringify(api.hvacs.map(describe), null, 2));
+                } else {
+                    api.hvacs.forEach((hvac) => print(hvac.toString()));
+                }
+                return EXIT_SUCCESS;
+
+            case 'set': {
+                const changes = {
+                    'power': options.power,
+                    'mode': options.mode,
+                    'temp': options.temp,
+                    'fanspeed': options.fan,
+                    'swing': options.swing,
+                    'turbo': options.turbo,
+                    'light': options.light
+                };
+                if (Object.values(changes).every((value) =>
+                    value === undefined)) {
+                    throw new UsageError('Nothing to set.');
+                }
+                const hvac = api.hvacs[0];
+                await hvac.setState(changes, api,
+                    { 'acknowledge': true, 'timeout': options.timeout });
+                print(options.json ? JSON.stringify(describe(hvac), null, 2)
+                    : hvac.toString());
+                return EXIT_SUCCESS;
+            }
+
+            case 'watch': {
+                const report = (event, hvac, details) => {
+                    if (options.json) {
+                        print(JSON.stringify(Object.assign({
+                            'event': event,
+                            'time': new Date().toISOString(),
+                            'macAddress': hvac.getMacAddress(),
+                            'deviceName': hvac.getDeviceName()
+                        }, details)));
+                    } else {
+                        print(new Date().toISOString() + ' ' + event + ' '
+                            + hvac.toString());
+                    }
+                };
+                api.on('stateChanged', (hvac, previous, next) => {
+                    report('stateChanged', hvac,
+                        { 'previous': previous, 'next': next });
+                });
+                api.on('roomTemperature', (hvac, roomTemperature) => {
+                    report('roomTemperature', hvac,
+                        { 'roomTemperature': roomTemperature });
+                });
+                api.on('error', (error) => {
+                    stderr.write('Error: ' + error.message + '\n');
+                });
+                api.hvacs.forEach((hvac) => report('status', hvac,
+                    { 'state': describe(hvac) }));
+
+                // Stream until interrupted
+                await new Promise((resolve) => {
+                    if (io.signal === undefined) return;
+                    if (io.signal.aborted) return resolve();
+                    io.signal.addEventListener('abort', () => resolve());
+                });
+                return EXIT_SUCCESS;
+            }
+        }
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(error.message + '\n\n' + USAGE);
+            return EXIT_USAGE;
+        }
+        stderr.write('Error: ' + error.message + '\n');
+        if (error instanceof InvalidCredentialsError) {
+            return EXIT_AUTHENTICATION;
+        }
+        if (error instanceof DeviceNotFoundError) return EXIT_NOT_FOUND;
+        if (error instanceof InvalidCommandError) return EXIT_USAGE;
+        return EXIT_FAILURE;
+    } finally {
+        if (api !== undefined) {
+            await api.disconnect();
+        }
+
+        // Write the whole capture before the process exits
+        if (capture !== undefined) {
+            await capture.flush();
+        }
+    }
+}
+
+if (require.main === module) {
+    // Stop watching on Ctrl-C
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+    process.once('SIGTERM', () => controller.abort());
+    main(process.argv.slice(2), { 'signal': controller.signal })
+        .then((code) => process.exit(code));
+}
+
+module.exports = {
+    main: main
+};
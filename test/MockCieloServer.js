@@ -0,0 +1,446 @@
+const http = require('http');
+const querystring = require('querystring');
+const CryptoJS = require('crypto-js');
+const WebSocket = require('ws');
+
+// Constants
+const SESSION_ID = 'mock-session-id';
+const CONNECTION_TOKEN = 'mock-connection-token';
+const ACCESS_TOKEN = 'mock-access-token';
+
+/**
+ * Creates a device as returned by initsubscription
+ *
+ * @param {string} macAddress The device's MAC address
+ * @param {string} deviceName The device's name
+ * @param {number} applianceID The device's appliance ID
+ * @returns {any}
+ */
+function createDevice(macAddress, deviceName, applianceID) {
+    return {
+        'macAddress': macAddress,
+        'deviceName': deviceName,
+        'applianceID': applianceID,
+        'fwVersion': '1.0.0',
+        'deviceStatus': 1,
+        'latestAction': {
+            'power': 'on',
+            'temp': '72',
+            'mode': 'cool',
+            'fanspeed': 'auto',
+            'swing': 'auto',
+            'turbo': 'off',
+            'light': 'on'
+        },
+        'latEnv': {
+            'temp': 74
+        }
+    };
+}
+
+/**
+ * A local stand-in for the SmartCielo API. Implements the REST endpoints and
+ * the SignalR WebSocket used by MrCoolAPIConnection, and records the commands
+ * it receives.
+ */
+class MockCieloServer {
+    #server;
+    #wss;
+    #sessionCounter = 0;
+
+    /**
+     * Valid usernames and their passwords
+     *
+     * @type Map<string, string>
+     */
+    users = new Map([['user@example.com', 'correct password']]);
+
+    /**
+     * Devices on the account, as returned by initsubscription
+     *
+     * @type any[]
+     */
+    devices = [
+        createDevice('AAAAAAAAAAAA', 'Office', 1),
+        createDevice('BBBBBBBBBBBB', 'Bedroom', 2)
+    ];
+
+    /**
+     * Every command frame received over the socket, parsed
+     *
+     * @type any[]
+     */
+    commands = [];
+
+    /**
+     * Every HTTP request received, as method and path
+     *
+     * @type string[]
+     */
+    requests = [];
+
+    /**
+     * Every login form received, parsed
+     *
+     * @type any[]
+     */
+    logins = [];
+
+    /**
+     * Whether to answer commands with an actionReceivedAC message, like a
+     * connected unit would
+     *
+     * @type boolean
+     */
+    acknowledgeCommands = true;
+
+    /**
+     * Responses to replace for a path, keyed by path. Each is an object with
+     * status, headers, and body, and optionally a delay in milliseconds.
+     *
+     * @type Map<string, any>
+     */
+    overrides = new Map();
+
+    /**
+     * Seconds until access tokens expire
+     *
+     * @type number
+     */
+    tokenLifetime = 86399;
+
+    /**
+     * Seconds until the application cookie expires, or undefined for a
+     * cookie without an expiry
+     *
+     * @type number
+     */
+    sessionLifetime;
+
+    /**
+     * The application cookie value that is currently accepted
+     *
+     * @type string
+     */
+    validCookie;
+
+    /**
+     * The open WebSocket connections
+     *
+     * @type Set<WebSocket>
+     */
+    sockets = new Set();
+
+    /**
+     * Starts listening on a random local port.
+     *
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.#server = http.createServer((request, response) => {
+            this.#handleRequest(request, response);
+        });
+        this.#wss = new WebSocket.Server({ 'noServer': true });
+        this.#server.on('upgrade', (request, socket, head) => {
+            this.#handleUpgrade(request, socket, head);
+        });
+        return new Promise((resolve) => {
+            this.#server.listen(0, '127.0.0.1', resolve);
+        });
+    }
+
+    /**
+     * Closes every connection and stops listening.
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.sockets.forEach((socket) => socket.terminate());
+        this.#wss.close();
+        return new Promise((resolve) => this.#server.close(() => resolve()));
+    }
+
+    /**
+     * Returns the host and port to pass to MrCoolAPIConnection
+     *
+     * @returns {string}
+     */
+    getHost() {
+        return '127.0.0.1:' + this.#server.address().port;
+    }
+
+    /**
+     * Returns options that point a MrCoolAPIConnection at this server
+     *
+     * @returns {any}
+     */
+    getConnectionOptions() {
+        return {
+            'host': this.getHost(),
+            'httpProtocol': 'http://',
+            'wsProtocol': 'ws://'
+        };
+    }
+
+    /**
+     * Sends a hub message to every connected client.
+     *
+     * @param {string} method The hub method, e.g. actionReceivedAC
+     * @param {any} argument The message argument
+     */
+    broadcast(method, argument) {
+        const frame = JSON.stringify({
+            'C': 'd-1',
+            'M': [{ 'H': 'devicesactionhub', 'M': method, 'A': [argument] }]
+        });
+        this.sockets.forEach((socket) => socket.send(frame));
+    }
+
+    /**
+     * Reports a device's room temperature to every connected client.
+     *
+     * @param {string} macAddress The device's MAC address
+     * @param {number} roomTemperature The room temperature
+     */
+    sendHeartBeat(macAddress, roomTemperature) {
+        this.broadcast('HeartBeatPerformed', {
+            'macAddress': macAddress,
+            'roomTemperature': roomTemperature
+        });
+    }
+
+    /**
+     * Drops every WebSocket connection.
+     */
+    dropConnections() {
+        this.sockets.forEach((socket) => socket.terminate());
+    }
+
+    /**
+     * Stops accepting the current session cookies.
+     */
+    expireSession() {
+        this.validCookie = undefined;
+    }
+
+    /**
+     * Returns whether a request carries the current application cookie
+     *
+     * @param {http.IncomingMessage} request The request
+     * @returns {boolean}
+     */
+    #isAuthenticated(request) {
+        const cookies = (request.headers.cookie || '').split(';')
+            .map((cookie) => cookie.trim());
+        return this.validCookie !== undefined
+            && cookies.includes('.AspNet.ApplicationCookie='
+                + this.validCookie);
+    }
+
+    /**
+     * Reads a request body.
+     *
+     * @param {http.IncomingMessage} request The request
+     * @returns {Promise<string>}
+     */
+    #readBody(request) {
+        return new Promise((resolve) => {
+            let body = '';
+            request.on('data', (chunk) => body += chunk);
+            request.on('end', () => resolve(body));
+        });
+    }
+
+    /**
+     * Writes a response.
+     *
+     * @param {http.ServerResponse} response The response
+     * @param {number} status The status code
+     * @param {any} body The body, serialized as JSON unless a string
+     * @param {any} headers Additional headers
+     */
+    #send(response, status, body, headers = {}) {
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+        response.writeHead(status, Object.assign({
+            'Content-Type': typeof body === 'string'
+                ? 'text/html' : 'application/json'
+        }, headers));
+        response.end(text);
+    }
+
+    /**
+     * Answers a REST request.
+     *
+     * @param {http.IncomingMessage} request The request
+     * @param {http.ServerResponse} response The response
+     */
+    async #handleRequest(request, response) {
+        const url = new URL(request.url, 'http://' + request.headers.host);
+        const body = await this.#readBody(request);
+        this.requests.push(request.method + ' ' + url.pathname);
+
+        const override = this.overrides.get(url.pathname);
+        if (override !== undefined) {
+            await new Promise((resolve) =>
+                setTimeout(resolve, override.delay ?? 0));
+            return this.#send(response, override.status, override.body,
+                override.headers);
+        }
+
+        switch (url.pathname) {
+            case '/auth/login': {
+                const form = querystring.parse(body);
+                this.logins.push(form);
+                if (this.users.get(form.userId) !== form.password) {
+                    return this.#send(response, 200,
+                        '<html><form id="login"></form></html>',
+                        { 'Set-Cookie': 'ASP.NET_SessionId=' + SESSION_ID });
+                }
+                this.validCookie = 'cookie-' + ++this.#sessionCounter;
+                const expires = this.sessionLifetime === undefined ? ''
+                    : '; expires=' + new Date(Date.now()
+                        + this.sessionLifetime * 1000).toUTCString();
+                return this.#send(response, 302, '', {
+                    'Location': '/home/index',
+                    'Set-Cookie': [
+                        'ASP.NET_SessionId=' + SESSION_ID + '; path=/',
+                        '.AspNet.ApplicationCookie=' + this.validCookie
+                            + expires + '; path=/; HttpOnly'
+                    ]
+                });
+            }
+            case '/home/index': {
+                if (!this.#isAuthenticated(request)) {
+                    return this.#send(response, 200,
+                        '<html><form id="login"></form></html>');
+                }
+                const appUser = encryptString(JSON.stringify({
+                    'userID': 'mock-user-id',
+                    'accessToken': ACCESS_TOKEN
+                }));
+                return this.#send(response, 200, '<html><body>'
+                    + '<input type="hidden" id="hdnAppUser" value="' + appUser
+                    + '" /><input type="hidden" id="hdnSessionID" value="'
+                    + SESSION_ID + '" /></body></html>');
+            }
+            case '/cAcc': {
+                const form = querystring.parse(body);
+                if (!this.#isAuthenticated(request)
+                    || form.username !== 'mock-user-id') {
+                    return this.#send(response, 400,
+                        { 'error': 'invalid_grant' });
+                }
+                return this.#send(response, 200, {
+                    'access_token': ACCESS_TOKEN,
+                    'token_type': 'bearer',
+                    'expires_in': this.tokenLifetime,
+                    'userName': 'mock-user-id',
+                    '.issued': new Date().toUTCString(),
+                    '.expires': new Date(Date.now()
+                        + this.tokenLifetime * 1000).toUTCString()
+                });
+            }
+            case '/api/device/initsubscription': {
+                if (request.headers.authorization
+                    !== 'bearer ' + ACCESS_TOKEN) {
+                    return this.#send(response, 401,
+                        { 'message': 'Authorization has been denied.' });
+                }
+                return this.#send(response, 200, {
+                    'status': 200,
+                    'message': 'SUCCESS',
+                    'data': { 'listDevices': this.devices }
+                });
+            }
+            case '/signalr/negotiate':
+                if (!this.#isAuthenticated(request)) {
+                    return this.#send(response, 401, 'Unauthorized');
+                }
+                return this.#send(response, 200, {
+                    'Url': '/signalr',
+                    'ConnectionToken': CONNECTION_TOKEN,
+                    'ConnectionId': 'mock-connection-id',
+                    'KeepAliveTimeout': 20,
+                    'DisconnectTimeout': 30,
+                    'ConnectionTimeout': 110,
+                    'TryWebSockets': true,
+                    'ProtocolVersion': '2.1',
+                    'TransportConnectTimeout': 5,
+                    'LongPollDelay': 0
+                });
+            case '/signalr/start':
+                return this.#send(response, 200, { 'Response': 'started' });
+            case '/signalr/ping':
+                return this.#send(response, 200, { 'Response': 'pong' });
+            default:
+                return this.#send(response, 404, 'Not Found');
+        }
+    }
+
+    /**
+     * Accepts a WebSocket connection to /signalr/connect.
+     *
+     * @param {http.IncomingMessage} request The upgrade request
+     * @param {net.Socket} socket The network socket
+     * @param {Buffer} head The first packet of the upgraded stream
+     */
+    #handleUpgrade(request, socket, head) {
+        const url = new URL(request.url, 'http://' + request.headers.host);
+        if (url.pathname !== '/signalr/connect'
+            || url.searchParams.get('connectionToken') !== CONNECTION_TOKEN
+            || !this.#isAuthenticated(request)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        this.#wss.handleUpgrade(request, socket, head, (ws) => {
+            this.sockets.add(ws);
+            ws.on('close', () => this.sockets.delete(ws));
+            ws.on('message', (message) => this.#handleCommand(message));
+        });
+    }
+
+    /**
+     * Records a command and, like a unit would, reports the new state.
+     *
+     * @param {string} message The command frame
+     */
+    #handleCommand(message) {
+        const command = JSON.parse(message);
+        this.commands.push(command);
+        if (command.M !== 'broadcastActionAC') return;
+
+        const action = command.A[0];
+        const device = this.devices.find((device) =>
+            device.macAddress === action.macAddress);
+        if (device === undefined) return;
+        for (const field of ['power', 'temp', 'mode', 'fanspeed', 'swing',
+            'turbo', 'light']) {
+            device.latestAction[field] = action[field];
+        }
+        if (this.acknowledgeCommands) {
+            this.broadcast('actionReceivedAC', Object.assign(
+                { 'macAddress': device.macAddress }, device.latestAction));
+        }
+    }
+}
+
+/**
+ * Encrypts a string the way the API encrypts hdnAppUser.
+ *
+ * @param {string} input The string to encrypt
+ * @returns {string}
+ */
+function encryptString(input) {
+    const key = CryptoJS.enc.Utf8.parse('8080808080808080');
+    const iv = CryptoJS.enc.Utf8.parse('8080808080808080');
+    return CryptoJS.AES.encrypt(input, key, {
+        'iv': iv,
+        'mode': CryptoJS.mode.CBC,
+        'padding': CryptoJS.pad.Pkcs7
+    }).toString();
+}
+
+module.exports = {
+    MockCieloServer: MockCieloServer,
+    createDevice: createDevice
+};
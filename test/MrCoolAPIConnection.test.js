@@ -0,0 +1,744 @@
+const assert = require('assert');
+const { once } = require('events');
+const {
+    MrCoolAPIConnection,
+    InvalidCredentialsError,
+    SessionExpiredError,
+    UnexpectedResponseError,
+    NetworkError,
+    CommandTimeoutError,
+    InvalidCommandError,
+    DeviceNotFoundError,
+    ConnectionClosedError
+} = require('../MrCool.js');
+const { MockCieloServer } = require('./MockCieloServer.js');
+
+// Constants
+const USERNAME = 'user@example.com';
+const PASSWORD = 'correct password';
+const IP = '127.0.0.1';
+const OFFICE = 'AAAAAAAAAAAA';
+const BEDROOM = 'BBBBBBBBBBBB';
+
+/**
+ * Resolves once a condition holds, checking every few milliseconds
+ *
+ * @param {function} condition The condition to wait for
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    assert.ok(condition(), 'Condition was never met');
+}
+
+describe('MrCoolAPIConnection', () => {
+    let server;
+    let api;
+
+    beforeEach(async () => {
+        server = new MockCieloServer();
+        await server.start();
+    });
+
+    afterEach(async () => {
+        if (api !== undefined) {
+            await api.disconnect();
+            api = undefined;
+        }
+        await server.stop();
+    });
+
+    /**
+     * Creates a connection to the mock server
+     *
+     * @param {any} options Additional connection options
+     * @returns {MrCoolAPIConnection}
+     */
+    function createConnection(options = {}) {
+        return new MrCoolAPIConnection(Object.assign({ 'reconnect': false },
+            server.getConnectionOptions(), options));
+    }
+
+    /**
+     * Creates a connection and subscribes to the office unit
+     *
+     * @param {any} options Additional connection options
+     * @returns {Promise<MrCoolAPIConnection>}
+     */
+    async function connect(options) {
+        const connection = createConnection(options);
+        await connection.establishConnection(USERNAME, PASSWORD, IP);
+        await connection.subscribeToHVACs([OFFICE]);
+        return connection;
+    }
+
+    describe('establishConnection', () => {
+        it('logs in with valid credentials', async () => {
+            api = createConnection();
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+
+            assert.deepStrictEqual(server.requests, ['POST /auth/login',
+                'GET /home/index', 'GET /signalr/negotiate']);
+        });
+
+        it('encodes special characters in the credentials', async () => {
+            server.users.set('a+b@example.com', 'p&ss%20word= +');
+            api = createConnection();
+            await api.establishConnection('a+b@example.com', 'p&ss%20word= +',
+                IP);
+
+            assert.strictEqual(server.logins[0].password, 'p&ss%20word= +');
+        });
+
+        it('sends the login parameters', async () => {
+            api = createConnection({ 'timeZone': '+01:00',
+                'deviceName': 'thermostat', 'deviceToken': 'token' });
+            await api.establishConnection(USERNAME, PASSWORD);
+
+            const [login] = server.logins;
+            assert.strictEqual(login.timeZone, '+01:00');
+            assert.strictEqual(login.mobileDeviceName, 'thermostat');
+            assert.strictEqual(login.deviceTokenId, 'token');
+        });
+
+        it('defaults to the system time zone and the IP as device token',
+            async () => {
+                api = createConnection();
+                await api.establishConnection(USERNAME, PASSWORD, IP);
+
+                const [login] = server.logins;
+                assert.match(login.timeZone, /^[+-]\d\d:\d\d$/);
+                assert.strictEqual(login.mobileDeviceName, 'chrome');
+                assert.strictEqual(login.deviceTokenId, IP);
+            });
+
+        it('rejects a wrong password', async () => {
+            api = createConnection();
+            await assert.rejects(
+                api.establishConnection(USERNAME, 'wrong', IP),
+                (error) => error instanceof InvalidCredentialsError
+                    && error.step === '/auth/login');
+        });
+
+        it('rejects when the index page has no user information',
+            async () => {
+                server.overrides.set('/home/index',
+                    { 'status': 200, 'body': '<html></html>' });
+                api = createConnection();
+                await assert.rejects(
+                    api.establishConnection(USERNAME, PASSWORD, IP),
+                    SessionExpiredError);
+            });
+
+        it('rejects when the API returns a server error', async () => {
+            server.overrides.set('/auth/login',
+                { 'status': 503, 'body': 'Service Unavailable' });
+            api = createConnection();
+            await assert.rejects(
+                api.establishConnection(USERNAME, PASSWORD, IP),
+                (error) => error instanceof UnexpectedResponseError
+                    && error.status === 503);
+        });
+
+        it('rejects rate limiting without blaming the credentials',
+            async () => {
+                server.overrides.set('/auth/login',
+                    { 'status': 429, 'body': 'Too Many Requests' });
+                api = createConnection();
+                await assert.rejects(
+                    api.establishConnection(USERNAME, PASSWORD, IP),
+                    (error) => error instanceof UnexpectedResponseError
+                        && error.status === 429);
+            });
+
+        it('rejects when the API cannot be reached', async () => {
+            api = new MrCoolAPIConnection({ 'host': '127.0.0.1:1',
+                'httpProtocol': 'http://', 'reconnect': false });
+            await assert.rejects(
+                api.establishConnection(USERNAME, PASSWORD, IP),
+                NetworkError);
+        });
+    });
+
+    describe('session store', () => {
+        /**
+         * Keeps sessions in memory
+         */
+        class MemoryStore {
+            sessions = new Map();
+
+            async load(key) {
+                return this.sessions.get(key);
+            }
+
+            async save(key, session) {
+                this.sessions.set(key, session);
+            }
+
+            async clear(key) {
+                this.sessions.delete(key);
+            }
+        }
+
+        it('resumes a stored session without logging in', async () => {
+            const store = new MemoryStore();
+            await createConnection({ 'sessionStore': store })
+                .establishConnection(USERNAME, PASSWORD, IP);
+            server.requests = [];
+
+            api = createConnection({ 'sessionStore': store });
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+            await api.subscribeToHVACs([OFFICE]);
+
+            assert.ok(!server.requests.includes('POST /auth/login'));
+            assert.strictEqual(api.hvacs[0].getDeviceName(), 'Office');
+        });
+
+        it('logs in when the stored session is no longer accepted',
+            async () => {
+                const store = new MemoryStore();
+                await createConnection({ 'sessionStore': store })
+                    .establishConnection(USERNAME, PASSWORD, IP);
+                const [[key, session]] = store.sessions;
+                server.expireSession();
+
+                api = createConnection({ 'sessionStore': store });
+                await api.establishConnection(USERNAME, PASSWORD, IP);
+
+                assert.strictEqual(server.requests.filter((request) =>
+                    request === 'POST /auth/login').length, 2);
+                assert.notStrictEqual(store.sessions.get(key).cookies,
+                    session.cookies);
+            });
+
+        it('ignores a stored session that has expired', async () => {
+            const store = new MemoryStore();
+            await createConnection({ 'sessionStore': store })
+                .establishConnection(USERNAME, PASSWORD, IP);
+            const [session] = store.sessions.values();
+            session.sessionExpiry = Date.now() - 1000;
+            server.requests = [];
+
+            api = createConnection({ 'sessionStore': store });
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+
+            assert.deepStrictEqual(server.requests, ['POST /auth/login',
+                'GET /home/index', 'GET /signalr/negotiate']);
+        });
+
+        it('forgets a stored session that is no longer accepted',
+            async () => {
+                const store = new MemoryStore();
+                await createConnection({ 'sessionStore': store })
+                    .establishConnection(USERNAME, PASSWORD, IP);
+                server.expireSession();
+                server.overrides.set('/auth/login',
+                    { 'status': 503, 'body': 'Service Unavailable' });
+
+                api = createConnection({ 'sessionStore': store });
+                await assert.rejects(
+                    api.establishConnection(USERNAME, PASSWORD, IP),
+                    UnexpectedResponseError);
+                assert.strictEqual(store.sessions.size, 0);
+            });
+
+        it('forgets the stored session when the password is rejected',
+            async () => {
+                const store = new MemoryStore();
+                await createConnection({ 'sessionStore': store })
+                    .establishConnection(USERNAME, PASSWORD, IP);
+                const [session] = store.sessions.values();
+                session.sessionExpiry = Date.now() - 1000;
+
+                api = createConnection({ 'sessionStore': store });
+                await assert.rejects(
+                    api.establishConnection(USERNAME, 'wrong', IP),
+                    InvalidCredentialsError);
+                assert.strictEqual(store.sessions.size, 0);
+            });
+    });
+
+    describe('connection options', () => {
+        it('sends extra headers through a custom fetch', async () => {
+            const fetch = require('node-fetch');
+            const requests = [];
+            api = createConnection({
+                'headers': { 'X-Test': 'yes' },
+                'fetch': (url, request) => {
+                    requests.push(request);
+                    return fetch(url, request);
+                }
+            });
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+
+            assert.strictEqual(requests.length, 3);
+            assert.ok(requests.every((request) =>
+                request.headers['X-Test'] === 'yes'));
+        });
+
+        it('times out slow requests', async () => {
+            server.overrides.set('/auth/login',
+                { 'status': 503, 'body': '', 'delay': 200 });
+            api = createConnection({ 'timeout': 20 });
+            await assert.rejects(
+                api.establishConnection(USERNAME, PASSWORD, IP),
+                (error) => error instanceof NetworkError
+                    && /timed out/.test(error.message));
+        });
+    });
+
+    describe('subscribeToHVACs', () => {
+        it('creates the requested HVACs with their current state',
+            async () => {
+                api = await connect();
+
+                assert.strictEqual(api.hvacs.length, 1);
+                const hvac = api.hvacs[0];
+                assert.strictEqual(hvac.getMacAddress(), OFFICE);
+                assert.strictEqual(hvac.getDeviceName(), 'Office');
+                assert.strictEqual(hvac.getPower(), 'on');
+                assert.strictEqual(hvac.getTemperature(), '72');
+                assert.strictEqual(hvac.getRoomTemperature(), 74);
+            });
+
+        it('subscribes to every device when no MACs are given', async () => {
+            api = createConnection();
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+            await api.subscribeToHVACs();
+
+            assert.deepStrictEqual(api.hvacs.map((hvac) =>
+                hvac.getMacAddress()), [OFFICE, BEDROOM]);
+        });
+
+        it('warns about MACs that are not on the account', async () => {
+            api = createConnection();
+            const warnings = [];
+            api.on('warning', (warning) => warnings.push(warning));
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+            await api.subscribeToHVACs([OFFICE, '000000000000']);
+
+            assert.strictEqual(api.hvacs.length, 1);
+            assert.strictEqual(warnings.length, 1);
+            assert.ok(warnings[0] instanceof DeviceNotFoundError);
+            assert.deepStrictEqual(warnings[0].macAddresses,
+                ['000000000000']);
+        });
+
+        it('rejects missing MACs in strict mode', async () => {
+            api = createConnection();
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+            await assert.rejects(api.subscribeToHVACs(['000000000000'],
+                { 'strict': true }), DeviceNotFoundError);
+        });
+
+        it('rejects when the subscription reports an error', async () => {
+            server.overrides.set('/api/device/initsubscription', {
+                'status': 200,
+                'body': { 'error': 'Something went wrong' }
+            });
+            api = createConnection();
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+            await assert.rejects(api.subscribeToHVACs([OFFICE]),
+                UnexpectedResponseError);
+        });
+    });
+
+    describe('listDevices', () => {
+        it('lists every device on the account', async () => {
+            api = createConnection();
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+
+            assert.deepStrictEqual(await api.listDevices(), [
+                { 'deviceName': 'Office', 'macAddress': OFFICE,
+                    'applianceID': 1, 'fwVersion': '1.0.0', 'online': true },
+                { 'deviceName': 'Bedroom', 'macAddress': BEDROOM,
+                    'applianceID': 2, 'fwVersion': '1.0.0', 'online': true }
+            ]);
+        });
+    });
+
+    describe('sendCommand', () => {
+        it('sends a broadcastActionAC command built from the current state',
+            async () => {
+                api = await connect();
+                await api.hvacs[0].setTemperature('70', api);
+                await waitFor(() => server.commands.length === 1);
+
+                const command = server.commands[0];
+                assert.strictEqual(command.H, 'devicesactionhub');
+                assert.strictEqual(command.M, 'broadcastActionAC');
+                assert.strictEqual(command.A.length, 2);
+                const [action, state] = command.A;
+                assert.strictEqual(action.macAddress, OFFICE);
+                assert.strictEqual(action.performedAction, 'temp');
+                assert.strictEqual(action.performedActionValue, '70');
+                assert.strictEqual(action.temp, '70');
+                assert.strictEqual(action.mode, 'cool');
+                assert.strictEqual(action.light, 'on');
+                assert.strictEqual(action.mid, 'mock-session-id');
+                assert.strictEqual(state.performedAction, '');
+                assert.strictEqual(state.temp, '72');
+            });
+
+        it('reports the power before the command as actualPower',
+            async () => {
+                api = await connect();
+                await api.hvacs[0].powerOff(api, { 'acknowledge': true });
+                await api.hvacs[0].powerOn(api, { 'acknowledge': true });
+
+                const [action, state] = server.commands[1].A;
+                assert.strictEqual(action.power, 'on');
+                assert.strictEqual(action.actualPower, 'off');
+                assert.strictEqual(state.power, 'off');
+                assert.strictEqual(state.actualPower, 'off');
+            });
+
+        it('resolves with the state once acknowledged', async () => {
+            api = await connect();
+            const state = await api.hvacs[0].setMode('heat', api,
+                { 'acknowledge': true, 'timeout': 1000 });
+
+            assert.strictEqual(state.mode, 'heat');
+            assert.strictEqual(api.hvacs[0].getMode(), 'heat');
+        });
+
+        it('rejects with the last known state when never acknowledged',
+            async () => {
+                server.acknowledgeCommands = false;
+                api = await connect();
+                await assert.rejects(api.hvacs[0].powerOff(api,
+                    { 'acknowledge': true, 'timeout': 50, 'retries': 1 }),
+                (error) => error instanceof CommandTimeoutError
+                    && error.state.power === 'on');
+                assert.strictEqual(server.commands.length, 2);
+            });
+
+        it('rejects invalid values without sending anything', async () => {
+            api = await connect();
+            await assert.rejects(api.hvacs[0].setMode('cooling', api),
+                InvalidCommandError);
+            assert.strictEqual(server.commands.length, 0);
+        });
+
+        it('sends commands for a unit one at a time and merges repeats',
+            async () => {
+                api = await connect();
+                const hvac = api.hvacs[0];
+                const commands = [
+                    hvac.setMode('heat', api),
+                    hvac.setTemperature('68', api),
+                    hvac.setTemperature('69', api),
+                    hvac.setTemperature('70', api)
+                ];
+                assert.deepStrictEqual(api.getPendingCommands(hvac).map(
+                    (command) => command.performedAction), ['mode', 'temp']);
+                await Promise.all(commands);
+                await waitFor(() => api.getQueueDepth(hvac) === 0);
+
+                assert.strictEqual(server.commands.length, 2);
+                assert.strictEqual(server.commands[1].A[0].mode, 'heat');
+                assert.strictEqual(server.commands[1].A[0].temp, '70');
+            });
+    });
+
+    describe('setState', () => {
+        it('changes several settings with one command', async () => {
+            api = await connect();
+            const state = await api.hvacs[0].setState({ 'power': 'on',
+                'mode': 'heat', 'temp': '68', 'fanspeed': 'low' }, api);
+
+            assert.strictEqual(server.commands.length, 1);
+            const action = server.commands[0].A[0];
+            assert.strictEqual(action.performedAction, 'mode');
+            assert.strictEqual(action.temp, '68');
+            assert.strictEqual(action.fanspeed, 'low');
+            assert.strictEqual(state.mode, 'heat');
+            assert.strictEqual(state.temperature, '68');
+        });
+
+        it('sends nothing when the state already matches', async () => {
+            api = await connect();
+            await api.hvacs[0].setState({ 'power': 'on', 'temp': '72' }, api);
+
+            assert.strictEqual(server.commands.length, 0);
+        });
+    });
+
+    describe('incoming messages', () => {
+        it('updates the HVAC on actionReceivedAC', async () => {
+            const commands = [];
+            api = new MrCoolAPIConnection((status) => commands.push(status),
+                undefined, undefined, Object.assign({ 'reconnect': false },
+                    server.getConnectionOptions()));
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+            await api.subscribeToHVACs([OFFICE]);
+            const changed = once(api, 'stateChanged');
+            server.broadcast('actionReceivedAC', { 'macAddress': OFFICE,
+                'power': 'off', 'temp': '72', 'mode': 'cool',
+                'fanspeed': 'auto', 'swing': 'pos3' });
+            const [hvac, previous, next] = await changed;
+
+            assert.strictEqual(hvac, api.hvacs[0]);
+            assert.strictEqual(previous.power, 'on');
+            assert.strictEqual(next.power, 'off');
+            assert.strictEqual(hvac.getSwing(), 'pos3');
+            assert.strictEqual(commands.length, 1);
+        });
+
+        it('updates the room temperature on HeartBeatPerformed', async () => {
+            const temperatures = [];
+            api = new MrCoolAPIConnection(undefined,
+                (temperature) => temperatures.push(temperature), undefined,
+                Object.assign({ 'reconnect': false },
+                    server.getConnectionOptions()));
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+            await api.subscribeToHVACs([OFFICE]);
+            const reported = once(api, 'roomTemperature');
+            server.sendHeartBeat(OFFICE, 77);
+            const [hvac, roomTemperature] = await reported;
+
+            assert.strictEqual(hvac.getMacAddress(), OFFICE);
+            assert.strictEqual(roomTemperature, 77);
+            assert.strictEqual(api.hvacs[0].getRoomTemperature(), 77);
+            assert.deepStrictEqual(temperatures, [77]);
+        });
+
+        it('ignores messages for other devices', async () => {
+            api = await connect();
+            server.sendHeartBeat(BEDROOM, 60);
+            server.sendHeartBeat(OFFICE, 71);
+            await once(api, 'roomTemperature');
+
+            assert.strictEqual(api.hvacs[0].getRoomTemperature(), 71);
+        });
+
+        it('skips messages that are not valid JSON', async () => {
+            api = await connect();
+            const warned = once(api, 'warning');
+            server.sockets.forEach((socket) => socket.send('{"M": ['));
+            const [warning] = await warned;
+            server.sendHeartBeat(OFFICE, 71);
+            await once(api, 'roomTemperature');
+
+            assert.ok(warning instanceof UnexpectedResponseError);
+            assert.strictEqual(api.hvacs[0].getRoomTemperature(), 71);
+        });
+    });
+
+    describe('credential refresh', () => {
+        it('renews the access token before it expires', async () => {
+            server.tokenLifetime = 1;
+            api = await connect({ 'refreshMargin': 950 });
+            await once(api, 'refreshed');
+
+            assert.strictEqual(server.requests.filter((request) =>
+                request === 'POST /cAcc').length, 2);
+        });
+
+        it('waits for half the lifetime of a token shorter than the margin',
+            async () => {
+                server.tokenLifetime = 1;
+                api = await connect();
+                await new Promise((resolve) => setTimeout(resolve, 200));
+
+                assert.strictEqual(server.requests.filter((request) =>
+                    request === 'POST /cAcc').length, 1);
+                await once(api, 'refreshed');
+            });
+
+        it('reuses the renewed access token', async () => {
+            server.tokenLifetime = 1;
+            api = await connect({ 'refreshMargin': 950 });
+            await once(api, 'refreshed');
+            await api.listDevices();
+
+            assert.strictEqual(server.requests.filter((request) =>
+                request === 'POST /cAcc').length, 2);
+        });
+
+        it('logs in again and moves the socket before the session expires',
+            async () => {
+                server.sessionLifetime = 3;
+                api = await connect({ 'refreshMargin': 1900 });
+                const previousCookie = server.validCookie;
+                await once(api, 'refreshed');
+
+                assert.notStrictEqual(server.validCookie, previousCookie);
+                await waitFor(() => server.sockets.size === 1);
+                server.sendHeartBeat(OFFICE, 65);
+                await once(api, 'roomTemperature');
+            });
+
+        it('reports failures to renew', async () => {
+            server.tokenLifetime = 1;
+            api = await connect({ 'refreshMargin': 950 });
+            server.overrides.set('/cAcc',
+                { 'status': 500, 'body': 'Internal Server Error' });
+            const [error] = await once(api, 'refreshFailed');
+
+            assert.ok(error instanceof UnexpectedResponseError);
+        });
+    });
+
+    describe('disconnect', () => {
+        it('closes the socket without reconnecting', async () => {
+            api = await connect({ 'reconnect': true,
+                'reconnectMinDelay': 5 });
+            let disconnects = 0;
+            api.on('disconnected', () => disconnects++);
+            api.on('reconnecting', () => assert.fail('Reconnected'));
+            await api.disconnect();
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            assert.strictEqual(disconnects, 1);
+            assert.strictEqual(server.sockets.size, 0);
+        });
+
+        it('rejects commands waiting for confirmation', async () => {
+            api = await connect();
+            server.acknowledgeCommands = false;
+            const hvac = api.hvacs[0];
+            const running = api.sendCommand(hvac, 'temp', 70,
+                { 'acknowledge': true });
+            const queued = api.sendCommand(hvac, 'mode', 'heat',
+                { 'acknowledge': true });
+            const rejected = Promise.all([
+                assert.rejects(running, ConnectionClosedError),
+                assert.rejects(queued, ConnectionClosedError)
+            ]);
+            await waitFor(() => server.commands.length === 1);
+            await api.disconnect();
+
+            await rejected;
+            assert.strictEqual(api.getQueueDepth(hvac), 0);
+            await assert.rejects(api.sendCommand(hvac, 'temp', 71),
+                ConnectionClosedError);
+        });
+
+        it('rejects waits on its units', async () => {
+            api = await connect();
+            const waiting = api.hvacs[0].waitForState({ 'power': 'off' });
+            const rejected = assert.rejects(waiting, ConnectionClosedError);
+            await api.disconnect();
+
+            await rejected;
+        });
+
+        it('disconnects when the signal is aborted', async () => {
+            const controller = new AbortController();
+            api = await connect({ 'signal': controller.signal });
+            const disconnected = once(api, 'disconnected');
+            controller.abort();
+            await disconnected;
+
+            await waitFor(() => server.sockets.size === 0);
+            await assert.rejects(
+                api.establishConnection(USERNAME, PASSWORD, IP),
+                ConnectionClosedError);
+        });
+
+        it('replaces the socket when subscribing again', async () => {
+            api = await connect();
+            await api.subscribeToHVACs([BEDROOM]);
+
+            await waitFor(() => server.sockets.size === 1);
+            assert.strictEqual(api.hvacs[0].getMacAddress(), BEDROOM);
+        });
+    });
+
+    describe('reconnection', () => {
+        it('reconnects and refreshes state when the socket drops',
+            async () => {
+                api = await connect({ 'reconnect': true,
+                    'reconnectMinDelay': 5, 'maxReconnectAttempts': 3 });
+                const reconnected = once(api, 'reconnected');
+                server.devices[0].latestAction.temp = '66';
+                server.dropConnections();
+                await reconnected;
+
+                assert.strictEqual(api.hvacs[0].getTemperature(), '66');
+                assert.strictEqual(server.sockets.size, 1);
+            });
+
+        it('logs in again when the session has expired', async () => {
+            api = await connect({ 'reconnect': true,
+                'reconnectMinDelay': 5, 'maxReconnectAttempts': 3 });
+            const reconnected = once(api, 'reconnected');
+            server.expireSession();
+            server.dropConnections();
+            await reconnected;
+
+            assert.strictEqual(server.requests.filter((request) =>
+                request === 'POST /auth/login').length, 2);
+        });
+
+        it('does not reconnect when disabled', async () => {
+            api = await connect();
+            const disconnected = once(api, 'disconnected');
+            server.dropConnections();
+            await disconnected;
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            assert.strictEqual(server.sockets.size, 0);
+        });
+
+        it('rejects waits when the socket drops', async () => {
+            api = await connect({ 'reconnect': true,
+                'reconnectMinDelay': 5, 'maxReconnectAttempts': 3 });
+            const waiting = api.hvacs[0].waitForState({ 'power': 'off' });
+            const rejected = assert.rejects(waiting, ConnectionClosedError);
+            server.dropConnections();
+
+            await rejected;
+            await once(api, 'reconnected');
+        });
+
+        it('rejects waits on units dropped by subscribing again',
+            async () => {
+                api = await connect();
+                const [office] = api.hvacs;
+                const waiting = office.waitForState({ 'power': 'off' });
+                const rejected = assert.rejects(waiting,
+                    ConnectionClosedError);
+                await api.subscribeToHVACs([OFFICE]);
+
+                await rejected;
+                assert.notStrictEqual(api.hvacs[0], office);
+            });
+
+        it('closes the socket when refreshing after reconnecting fails',
+            async () => {
+                api = await connect({ 'reconnect': true,
+                    'reconnectMinDelay': 5, 'maxReconnectAttempts': 5 });
+                const retrying = new Promise((resolve) =>
+                    api.on('reconnecting', (attempt) => {
+                        if (attempt === 3) resolve();
+                    }));
+                server.overrides.set('/api/device/initsubscription',
+                    { 'status': 500, 'body': 'Internal Server Error' });
+                server.dropConnections();
+                await retrying;
+                await waitFor(() => server.sockets.size === 0);
+
+                server.overrides.delete('/api/device/initsubscription');
+                await once(api, 'reconnected');
+                assert.strictEqual(server.sockets.size, 1);
+            });
+
+        it('does not reconnect when the first start fails', async () => {
+            api = createConnection({ 'reconnect': true,
+                'reconnectMinDelay': 5 });
+            api.on('reconnecting', () => assert.fail('Reconnected'));
+            await api.establishConnection(USERNAME, PASSWORD, IP);
+            server.overrides.set('/signalr/start',
+                { 'status': 500, 'body': 'Internal Server Error' });
+            await assert.rejects(api.subscribeToHVACs([OFFICE]),
+                UnexpectedResponseError);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            assert.strictEqual(server.sockets.size, 0);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { MrCoolAPIConnection, MrCoolCapture } = require('../MrCool.js');
+const { MockCieloServer } = require('./MockCieloServer.js');
+
+// Constants
+const OFFICE = 'AAAAAAAAAAAA';
+const SECRETS = ['correct password', 'user@example.com', 'mock-session-id',
+    'mock-connection-token', 'mock-access-token', 'mock-user-id', 'cookie-1'];
+
+describe('MrCoolCapture', () => {
+    let server;
+    let api;
+    let directory;
+    let filePath;
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrcool-test-'));
+        filePath = path.join(directory, 'capture.jsonl');
+        server = new MockCieloServer();
+        await server.start();
+    });
+
+    afterEach(async () => {
+        await api.disconnect();
+        await server.stop();
+        fs.rmSync(directory, { 'recursive': true, 'force': true });
+    });
+
+    /**
+     * Connects to the mock server while capturing, sends a command, and
+     * receives an update
+     *
+     * @param {any} capture The capture option
+     */
+    async function captureSession(capture) {
+        api = new MrCoolAPIConnection(Object.assign({ 'reconnect': false,
+            'capture': capture }, server.getConnectionOptions()));
+        await api.establishConnection('user@example.com', 'correct password');
+        await api.subscribeToHVACs([OFFICE]);
+        await api.sendCommand(api.hvacs[0], 'temp', 70,
+            { 'acknowledge': true });
+        const reported = once(api, 'roomTemperature');
+        server.sendHeartBeat(OFFICE, 77);
+        await reported;
+    }
+
+    it('records the traffic with credentials redacted', async () => {
+        const capture = new MrCoolCapture(filePath);
+        await captureSession(capture);
+        await api.disconnect();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        await capture.flush();
+
+        const entries = await MrCoolCapture.load(filePath);
+        const types = new Set(entries.map((entry) => entry.type));
+        ['request', 'response', 'body', 'open', 'sent', 'received', 'close']
+            .forEach((type) => assert.ok(types.has(type), type));
+        const login = entries.find((entry) => entry.type === 'request'
+            && entry.url.endsWith('/auth/login'));
+        assert.match(login.body, /password=%5BREDACTED%5D/);
+        const text = fs.readFileSync(filePath, 'utf8');
+        SECRETS.forEach((secret) => assert.ok(!text.includes(secret), secret));
+    });
+
+    it('replays a captured session offline', async () => {
+        const entries = [];
+        await captureSession({ 'record': (entry) => entries.push(entry) });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        const offline = new MrCoolAPIConnection();
+        const temperatures = [];
+        offline.on('roomTemperature', (hvac, roomTemperature) =>
+            temperatures.push(roomTemperature));
+        const frames = await offline.replay(entries,
+            { 'macAddresses': [OFFICE] });
+
+        assert.ok(frames >= 2);
+        assert.strictEqual(offline.hvacs.length, 1);
+        assert.strictEqual(offline.hvacs[0].getMacAddress(), OFFICE);
+        assert.strictEqual(offline.hvacs[0].getTemperature(), 70);
+        assert.deepStrictEqual(temperatures, [77]);
+    });
+
+    it('skips frames that are not valid JSON with a warning', async () => {
+        const entries = [];
+        await captureSession({ 'record': (entry) => entries.push(entry) });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        entries.splice(entries.findIndex((entry) =>
+            entry.type === 'received'), 0, { 'type': 'received',
+            'data': '{"M": [' });
+
+        const offline = new MrCoolAPIConnection();
+        const warnings = [];
+        offline.on('warning', (error) => warnings.push(error));
+        await offline.replay(entries, { 'macAddresses': [OFFICE] });
+
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].name, 'UnexpectedResponseError');
+        assert.strictEqual(offline.hvacs[0].getTemperature(), 70);
+    });
+
+    it('warns when the capture has no subscription response', async () => {
+        api = new MrCoolAPIConnection();
+        const warned = once(api, 'warning');
+        const frames = await api.replay([{ 'type': 'received',
+            'data': '{}' }]);
+
+        assert.strictEqual(frames, 1);
+        assert.strictEqual(api.hvacs.length, 0);
+        assert.match((await warned)[0].message, /subscription/);
+    });
+
+    it('warns when an entry cannot be recorded', async () => {
+        const warnings = [];
+        const capture = {
+            'record': () => {
+                throw new Error('Disk full');
+            }
+        };
+        api = new MrCoolAPIConnection(Object.assign({ 'reconnect': false,
+            'capture': capture }, server.getConnectionOptions()));
+        api.on('warning', (error) => warnings.push(error.message));
+        await api.establishConnection('user@example.com', 'correct password');
+
+        assert.ok(warnings.includes('Disk full'));
+    });
+});
@@ -0,0 +1,158 @@
+const assert = require('assert');
+const fetch = require('node-fetch');
+const http = require('http');
+const os = require('os');
+const { MrCoolAPIConnection, MrCoolGateway } = require('../MrCool.js');
+const { MockCieloServer } = require('./MockCieloServer.js');
+
+// Constants
+const OFFICE = 'AAAAAAAAAAAA';
+
+describe('MrCoolGateway', () => {
+    let server;
+    let api;
+    let gateway;
+    let base;
+
+    /**
+     * Starts a gateway on a free port
+     *
+     * @param {any} options The gateway's options
+     */
+    async function startGateway(options) {
+        gateway = new MrCoolGateway(api, options);
+        const port = await gateway.listen(0, '127.0.0.1');
+        base = 'http://127.0.0.1:' + port;
+    }
+
+    beforeEach(async () => {
+        server = new MockCieloServer();
+        await server.start();
+        api = new MrCoolAPIConnection(Object.assign({ 'reconnect': false },
+            server.getConnectionOptions()));
+        await api.establishConnection('user@example.com', 'correct password');
+        await api.subscribeToHVACs([OFFICE]);
+    });
+
+    afterEach(async () => {
+        await gateway.close();
+        await api.disconnect();
+        await server.stop();
+    });
+
+    it('lists the devices and finds one by MAC address or name', async () => {
+        await startGateway();
+
+        const devices = await (await fetch(base + '/devices')).json();
+        assert.deepStrictEqual(devices, [{
+            'macAddress': OFFICE, 'name': 'Office', 'power': 'on',
+            'temperature': '72', 'mode': 'cool', 'fanSpeed': 'auto',
+            'swing': 'auto', 'turbo': 'off', 'light': 'on',
+            'roomTemperature': 74
+        }]);
+        const office = await (await fetch(base + '/devices/office')).json();
+        assert.strictEqual(office.macAddress, OFFICE);
+        const missing = await fetch(base + '/devices/BBBBBBBBBBBB');
+        assert.strictEqual(missing.status, 404);
+        assert.strictEqual((await missing.json()).error,
+            'DeviceNotFoundError');
+    });
+
+    it('changes settings with PATCH', async () => {
+        await startGateway();
+
+        const response = await fetch(base + '/devices/' + OFFICE, {
+            'method': 'PATCH',
+            'headers': { 'Content-Type': 'application/json' },
+            'body': JSON.stringify({ 'mode': 'heat', 'temperature': 68 })
+        });
+        assert.strictEqual(response.status, 200);
+        const device = await response.json();
+        assert.strictEqual(device.mode, 'heat');
+        assert.strictEqual(device.temperature, 68);
+        assert.strictEqual(api.hvacs[0].getMode(), 'heat');
+    });
+
+    it('rejects invalid changes', async () => {
+        await startGateway();
+        const patch = (body) => fetch(base + '/devices/' + OFFICE, {
+            'method': 'PATCH', 'body': body
+        });
+
+        const unsupported = await patch(JSON.stringify({ 'fanSpeed': 'max' }));
+        assert.strictEqual(unsupported.status, 400);
+        assert.strictEqual((await unsupported.json()).error,
+            'InvalidCommandError');
+        const readOnly = await patch(JSON.stringify({ 'roomTemperature': 1 }));
+        assert.strictEqual(readOnly.status, 400);
+        const malformed = await patch('{');
+        assert.strictEqual(malformed.status, 400);
+    });
+
+    it('only listens on the loopback address by default', async function () {
+        const external = Object.values(os.networkInterfaces()).flat()
+            .find((address) => address.family === 'IPv4' && !address.internal);
+        gateway = new MrCoolGateway(api);
+        const port = await gateway.listen(0);
+        if (external === undefined) this.skip();
+
+        await assert.rejects(fetch('http://' + external.address + ':' + port
+            + '/devices'), /ECONNREFUSED/);
+        const local = await fetch('http://127.0.0.1:' + port + '/devices');
+        assert.strictEqual(local.status, 200);
+    });
+
+    it('requires the bearer token when one is set', async () => {
+        await startGateway({ 'token': 'secret' });
+
+        const anonymous = await fetch(base + '/devices');
+        assert.strictEqual(anonymous.status, 401);
+        assert.strictEqual(anonymous.headers.get('www-authenticate'),
+            'Bearer');
+        const wrong = await fetch(base + '/devices',
+            { 'headers': { 'Authorization': 'Bearer wrong' } });
+        assert.strictEqual(wrong.status, 401);
+        const authorized = await fetch(base + '/devices',
+            { 'headers': { 'Authorization': 'Bearer secret' } });
+        assert.strictEqual(authorized.status, 200);
+    });
+
+    it('streams state and room temperature updates', async () => {
+        await startGateway();
+        const events = [];
+        const request = http.get(base + '/events');
+        const received = new Promise((resolve) => {
+            request.on('response', (response) => {
+                let buffer = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => {
+                    buffer += chunk;
+                    const messages = buffer.split('\n\n');
+                    buffer = messages.pop();
+                    messages.forEach((message) => {
+                        if (message.startsWith(': connected')) {
+                            server.broadcast('actionReceivedAC', {
+                                'macAddress': OFFICE, 'power': 'off',
+                                'temp': '72', 'mode': 'cool',
+                                'fanspeed': 'auto'
+                            });
+                            server.sendHeartBeat(OFFICE, 77);
+                            return;
+                        }
+                        const [event, data] = message.split('\n');
+                        events.push([event.slice('event: '.length),
+                            JSON.parse(data.slice('data: '.length))]);
+                        if (events.length === 2) resolve();
+                    });
+                });
+            });
+        });
+        await received;
+        request.destroy();
+
+        assert.strictEqual(events[0][0], 'state');
+        assert.strictEqual(events[0][1].power, 'off');
+        assert.strictEqual(events[1][0], 'roomTemperature');
+        assert.strictEqual(events[1][1].roomTemperature, 77);
+    });
+});
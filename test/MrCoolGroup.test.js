@@ -0,0 +1,118 @@
+const assert = require('assert');
+const {
+    MrCoolHVAC,
+    MrCoolGroup,
+    DeviceNotFoundError
+} = require('../MrCool.js');
+
+/**
+ * Carries out commands after a short delay, failing for unreachable units,
+ * and keeps track of how many run at once
+ */
+class FakeAPI {
+    unreachable = new Set();
+    running = 0;
+    mostRunning = 0;
+
+    constructor(hvacs = []) {
+        this.hvacs = hvacs;
+    }
+
+    getHVAC(unit) {
+        return this.hvacs.find((hvac) => hvac.getMacAddress() === unit
+            || hvac.getDeviceName() === unit);
+    }
+
+    sendCommand(hvac, performedAction, performedActionValue) {
+        return this.sendChanges(hvac,
+            { [performedAction]: performedActionValue });
+    }
+
+    async sendChanges(hvac, changes) {
+        this.running++;
+        this.mostRunning = Math.max(this.mostRunning, this.running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        this.running--;
+        if (this.unreachable.has(hvac)) throw new Error('Unit unreachable');
+        const state = Object.assign({ 'temp': hvac.getTemperature(),
+            'fanspeed': hvac.getFanSpeed() }, hvac.getState(), changes);
+        hvac.updateState(state.power, String(state.temp), state.mode,
+            state.fanspeed);
+        return hvac.getState();
+    }
+}
+
+describe('MrCoolGroup', () => {
+    let hvacs;
+    let api;
+
+    beforeEach(() => {
+        hvacs = ['Office', 'Bedroom', 'Kitchen', 'Den'].map((name, index) => {
+            const hvac = new MrCoolHVAC(String(index).repeat(12), name, index,
+                '1.0.0');
+            hvac.updateState('on', '72', 'cool', 'auto');
+            return hvac;
+        });
+        api = new FakeAPI(hvacs);
+    });
+
+    it('reports the combined state', () => {
+        const group = new MrCoolGroup('Upstairs', hvacs);
+        assert.strictEqual(group.getSummary(), 'all cooling');
+        assert.strictEqual(group.getState().mode, 'cool');
+
+        hvacs[1].updateState('on', '68', 'heat', 'auto');
+        assert.strictEqual(group.getSummary(), 'mixed');
+        assert.strictEqual(group.getState().mode, 'mixed');
+        assert.strictEqual(group.getState().temperature, 'mixed');
+        assert.strictEqual(group.getState().fanSpeed, 'auto');
+        assert.strictEqual(new MrCoolGroup('Empty').getSummary(), 'empty');
+    });
+
+    it('sends commands to a limited number of units at a time', async () => {
+        const group = new MrCoolGroup('House', hvacs, { 'concurrency': 2 });
+
+        const { succeeded, failed } = await group.powerOff(api);
+
+        assert.strictEqual(api.mostRunning, 2);
+        assert.deepStrictEqual(succeeded.map(({ hvac }) => hvac), hvacs);
+        assert.deepStrictEqual(failed, []);
+        assert.strictEqual(group.getSummary(), 'all off');
+    });
+
+    it('reports which units failed', async () => {
+        const group = new MrCoolGroup('House', hvacs);
+        api.unreachable.add(hvacs[2]);
+
+        const { succeeded, failed } = await group.setState(
+            { 'mode': 'heat', 'temp': 68 }, api, { 'concurrency': 1 });
+
+        assert.strictEqual(api.mostRunning, 1);
+        assert.strictEqual(succeeded.length, 3);
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].hvac, hvacs[2]);
+        assert.strictEqual(failed[0].error.message, 'Unit unreachable');
+        assert.strictEqual(succeeded[0].result.mode, 'heat');
+        assert.strictEqual(group.getSummary(), 'mixed');
+    });
+
+    it('is created from MAC addresses and names', () => {
+        const group = MrCoolGroup.fromUnits(api, 'Work', ['Office',
+            '111111111111']);
+        assert.deepStrictEqual(group.getHVACs(), [hvacs[0], hvacs[1]]);
+        assert.strictEqual(group.toString(), 'Work (2 units): all cooling');
+
+        assert.throws(() => MrCoolGroup.fromUnits(api, 'Work', ['Garage']),
+            DeviceNotFoundError);
+    });
+
+    it('adds and removes units', () => {
+        const group = new MrCoolGroup('Work', [hvacs[0]]);
+        group.add(hvacs[1]);
+        group.add(hvacs[1]);
+        assert.strictEqual(group.getHVACs().length, 2);
+        assert.strictEqual(group.remove(hvacs[0]), true);
+        assert.strictEqual(group.remove(hvacs[0]), false);
+        assert.deepStrictEqual(group.getHVACs(), [hvacs[1]]);
+    });
+});
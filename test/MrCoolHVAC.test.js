@@ -0,0 +1,149 @@
+const assert = require('assert');
+const {
+    MrCoolHVAC,
+    InvalidCommandError,
+    ConnectionClosedError,
+    WaitTimeoutError
+} = require('../MrCool.js');
+
+describe('MrCoolHVAC', () => {
+    let hvac;
+
+    beforeEach(() => {
+        hvac = new MrCoolHVAC('AAAAAAAAAAAA', 'Office', 1, '1.0.0');
+        hvac.updateState('on', '72', 'cool', 'auto');
+    });
+
+    describe('updateState', () => {
+        it('emits stateChanged with the previous and next state', () => {
+            const events = [];
+            hvac.on('stateChanged', (previous, next) => {
+                events.push([previous, next]);
+            });
+            hvac.updateState('on', '70', 'cool', 'auto');
+
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0][0].temperature, '72');
+            assert.strictEqual(events[0][1].temperature, '70');
+        });
+
+        it('does not emit stateChanged when nothing changed', () => {
+            let emitted = false;
+            hvac.on('stateChanged', () => emitted = true);
+            hvac.updateState('on', '72', 'cool', 'auto');
+
+            assert.strictEqual(emitted, false);
+        });
+
+        it('keeps settings that are not reported', () => {
+            hvac.updateState('on', '72', 'cool', 'auto',
+                { 'swing': 'pos2', 'light': 'off' });
+            hvac.updateState('on', '72', 'cool', 'auto', { 'swing': '' });
+
+            assert.strictEqual(hvac.getSwing(), 'pos2');
+            assert.strictEqual(hvac.getLight(), 'off');
+            assert.strictEqual(hvac.getTurbo(), 'off');
+        });
+    });
+
+    describe('updateRoomTemperature', () => {
+        it('emits roomTemperature with the previous value', () => {
+            hvac.updateRoomTemperature(74);
+            const events = [];
+            hvac.on('roomTemperature', (temperature, previous) => {
+                events.push([temperature, previous]);
+            });
+            hvac.updateRoomTemperature(75);
+
+            assert.deepStrictEqual(events, [[75, 74]]);
+        });
+    });
+
+    describe('waitForState', () => {
+        it('resolves once the unit reports a matching state', async () => {
+            const waiting = hvac.waitForState((state) =>
+                state.mode === 'heat' && state.power === 'on');
+            hvac.updateState('off', '72', 'heat', 'auto');
+            hvac.updateState('on', '72', 'heat', 'auto');
+
+            assert.strictEqual((await waiting).power, 'on');
+            assert.strictEqual(hvac.listenerCount('stateChanged'), 0);
+        });
+
+        it('resolves right away when the state already matches', async () => {
+            const state = await hvac.waitForState(
+                { 'power': 'on', 'temperature': 72 });
+
+            assert.strictEqual(state.mode, 'cool');
+        });
+
+        it('rejects on timeout, abort, and disconnect', async () => {
+            await assert.rejects(hvac.waitForState({ 'power': 'off' },
+                { 'timeout': 5 }), (error) => error instanceof WaitTimeoutError
+                && error.macAddress === 'AAAAAAAAAAAA'
+                && error.state.power === 'on');
+
+            const controller = new AbortController();
+            const aborted = hvac.waitForState({ 'power': 'off' },
+                { 'signal': controller.signal });
+            controller.abort();
+            await assert.rejects(aborted, { 'name': 'AbortError' });
+
+            const disconnected = hvac.waitForState({ 'power': 'off' });
+            hvac.emit('disconnected');
+            await assert.rejects(disconnected, ConnectionClosedError);
+            assert.strictEqual(hvac.listenerCount('disconnected'), 0);
+        });
+    });
+
+    describe('waitForRoomTemperature', () => {
+        it('resolves once the room passes the threshold', async () => {
+            hvac.updateRoomTemperature('76');
+            const below = hvac.waitForRoomTemperature(74, 'below');
+            hvac.updateRoomTemperature('74');
+            hvac.updateRoomTemperature('73');
+
+            assert.strictEqual(await below, 73);
+            assert.strictEqual(await hvac.waitForRoomTemperature(70, 'above'),
+                73);
+            assert.throws(() => hvac.waitForRoomTemperature(70, 'down'),
+                TypeError);
+        });
+    });
+
+    describe('validateChanges', () => {
+        it('accepts supported values', () => {
+            hvac.validateChanges({ 'power': 'off', 'mode': 'heat',
+                'temp': '68', 'fanspeed': 'low', 'swing': 'pos1' });
+        });
+
+        it('rejects unknown modes', () => {
+            assert.throws(() => hvac.validateChanges({ 'mode': 'cooling' }),
+                (error) => error instanceof InvalidCommandError
+                    && error.field === 'mode' && error.value === 'cooling');
+        });
+
+        it('rejects temperatures outside of the range for the mode', () => {
+            assert.throws(() => hvac.validateChanges({ 'temp': '90' }),
+                InvalidCommandError);
+            assert.throws(() => hvac.validateChanges({ 'temp': 'warm' }),
+                InvalidCommandError);
+        });
+
+        it('checks the temperature against the mode being set', () => {
+            assert.throws(() =>
+                hvac.validateChanges({ 'mode': 'fan', 'temp': '72' }),
+            InvalidCommandError);
+        });
+
+        it('uses the configured temperature unit', () => {
+            hvac.setCapabilities({ 'temperatureUnit': 'C' });
+
+            assert.deepStrictEqual(hvac.getTemperatureRange('cool'),
+                { 'min': 16, 'max': 30 });
+            hvac.validateChanges({ 'temp': '22' });
+            assert.throws(() => hvac.validateChanges({ 'temp': '72' }),
+                InvalidCommandError);
+        });
+    });
+});
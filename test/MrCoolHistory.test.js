@@ -0,0 +1,153 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const {
+    MrCoolAPIConnection,
+    MrCoolHistory,
+    MemoryHistoryStore,
+    JsonlHistoryStore,
+    CsvHistoryStore
+} = require('../MrCool.js');
+const { MockCieloServer } = require('./MockCieloServer.js');
+
+// Constants
+const OFFICE = 'AAAAAAAAAAAA';
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Returns a state record
+ *
+ * @param {number} time The time of the record
+ * @param {string} power The power state
+ * @param {string} mode The mode
+ * @returns {any}
+ */
+function stateRecord(time, power, mode) {
+    return { 'time': time, 'macAddress': OFFICE, 'type': 'state',
+        'power': power, 'temperature': '72', 'mode': mode,
+        'fanSpeed': 'auto', 'swing': 'auto', 'turbo': 'off', 'light': 'on' };
+}
+
+describe('MrCoolHistory', () => {
+    describe('recording', () => {
+        let server;
+        let api;
+        let history;
+
+        beforeEach(async () => {
+            server = new MockCieloServer();
+            await server.start();
+            api = new MrCoolAPIConnection(Object.assign({ 'reconnect': false },
+                server.getConnectionOptions()));
+            await api.establishConnection('user@example.com',
+                'correct password');
+            await api.subscribeToHVACs([OFFICE]);
+            history = new MrCoolHistory(api);
+            history.start();
+        });
+
+        afterEach(async () => {
+            history.stop();
+            await api.disconnect();
+            await server.stop();
+        });
+
+        it('records state changes and room temperatures', async () => {
+            const changed = once(api, 'stateChanged');
+            server.broadcast('actionReceivedAC', { 'macAddress': OFFICE,
+                'power': 'off', 'temp': '72', 'mode': 'cool',
+                'fanspeed': 'auto' });
+            await changed;
+            const reported = once(api, 'roomTemperature');
+            server.sendHeartBeat(OFFICE, 77);
+            await reported;
+
+            const states = await history.getStates('Office');
+            assert.deepStrictEqual(states.map((state) => state.power),
+                ['on', 'off']);
+            const temperatures = await history.getRoomTemperatures(OFFICE,
+                { 'from': Date.now() - 24 * HOUR });
+            assert.deepStrictEqual(temperatures.map((reading) =>
+                reading.roomTemperature), [77]);
+        });
+
+        it('does not repeat the state when reconnected', async () => {
+            api.emit('connected');
+
+            assert.strictEqual((await history.getStates(OFFICE)).length, 1);
+        });
+    });
+
+    describe('getRuntime', () => {
+        it('sums the time spent in each mode within a range', async () => {
+            const store = new MemoryHistoryStore();
+            const start = Date.now() - 10 * HOUR;
+            await store.append(stateRecord(start, 'on', 'cool'));
+            await store.append(stateRecord(start + 2 * HOUR, 'off', 'cool'));
+            await store.append(stateRecord(start + 3 * HOUR, 'on', 'heat'));
+            await store.append(stateRecord(start + 4 * HOUR, 'on', 'cool'));
+            const history = new MrCoolHistory(new MrCoolAPIConnection(),
+                { 'store': store });
+
+            assert.deepStrictEqual(await history.getRuntime(OFFICE, {
+                'from': start + HOUR, 'to': start + 5 * HOUR
+            }), { 'cool': 2 * HOUR, 'off': HOUR, 'heat': HOUR });
+        });
+    });
+
+    describe('stores', () => {
+        let directory;
+
+        it('MemoryHistoryStore keeps the latest records', async () => {
+            const start = Date.now();
+            const store = new MemoryHistoryStore();
+            for (let i = 0; i < 10001; i++) {
+                await store.append(stateRecord(start + i, 'on', 'cool'));
+            }
+            const records = await store.query();
+            assert.strictEqual(records.length, 10000);
+            assert.strictEqual(records[0].time, start + 1);
+
+            const small = new MemoryHistoryStore({ 'maxRecords': 2 });
+            await small.append(stateRecord(start, 'on', 'cool'));
+            await small.append(stateRecord(start + 1, 'off', 'cool'));
+            await small.append(stateRecord(start + 2, 'on', 'heat'));
+            assert.deepStrictEqual((await small.query())
+                .map((record) => record.time), [start + 1, start + 2]);
+        });
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrcool-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { 'recursive': true, 'force': true });
+        });
+
+        [
+            ['JsonlHistoryStore', (directory) =>
+                new JsonlHistoryStore(path.join(directory, 'history.jsonl'))],
+            ['CsvHistoryStore', (directory) =>
+                new CsvHistoryStore(path.join(directory, 'history.csv'))]
+        ].forEach(([name, createStore]) => {
+            it(name + ' keeps records across restarts', async () => {
+                const time = Date.parse('2024-01-01T00:00:00.000Z');
+                const store = createStore(directory);
+                const state = stateRecord(time, 'on', 'cool');
+                const reading = { 'time': time + HOUR, 'macAddress': OFFICE,
+                    'type': 'roomTemperature', 'roomTemperature': 71.5 };
+                await Promise.all([store.append(state),
+                    store.append(reading)]);
+
+                const reopened = createStore(directory);
+                assert.deepStrictEqual(await reopened.query(),
+                    [state, reading]);
+                assert.deepStrictEqual(await reopened.query(
+                    { 'type': 'roomTemperature', 'from': time + 1 }),
+                [reading]);
+            });
+        });
+    });
+});
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const { once } = require('events');
+const { MrCoolAPIConnection, MrCoolMQTTBridge } = require('../MrCool.js');
+const { MockCieloServer } = require('./MockCieloServer.js');
+
+// Constants
+const OFFICE = 'AAAAAAAAAAAA';
+
+/**
+ * An MQTT client that keeps the last message published to each topic
+ */
+class FakeClient extends EventEmitter {
+    connected = true;
+    retained = new Map();
+    subscriptions = [];
+
+    publish(topic, message, options, callback) {
+        this.retained.set(topic, message);
+        callback();
+    }
+
+    subscribe(topic) {
+        this.subscriptions.push(topic);
+    }
+
+    unsubscribe(topic) {
+        this.subscriptions = this.subscriptions.filter((subscription) =>
+            subscription !== topic);
+    }
+
+    receive(topic, message) {
+        this.emit('message', topic, Buffer.from(message));
+    }
+}
+
+describe('MrCoolMQTTBridge', () => {
+    let server;
+    let api;
+    let client;
+    let bridge;
+
+    beforeEach(async () => {
+        server = new MockCieloServer();
+        await server.start();
+        api = new MrCoolAPIConnection(Object.assign({ 'reconnect': false },
+            server.getConnectionOptions()));
+        await api.establishConnection('user@example.com', 'correct password');
+        await api.subscribeToHVACs([OFFICE]);
+        client = new FakeClient();
+        bridge = new MrCoolMQTTBridge(api, client);
+        bridge.start();
+    });
+
+    afterEach(async () => {
+        bridge.stop();
+        await api.disconnect();
+        await server.stop();
+    });
+
+    it('publishes state, availability, and discovery', () => {
+        assert.strictEqual(client.retained.get('mrcool/availability'),
+            'online');
+        assert.deepStrictEqual(
+            JSON.parse(client.retained.get('mrcool/' + OFFICE + '/state')), {
+                'power': 'on', 'temperature': '72', 'mode': 'cool',
+                'fanSpeed': 'auto', 'swing': 'auto', 'turbo': 'off',
+                'light': 'on', 'roomTemperature': 74
+            });
+        assert.strictEqual(
+            client.retained.get('mrcool/' + OFFICE + '/room_temperature'),
+            '74');
+
+        const config = JSON.parse(client.retained.get(
+            'homeassistant/climate/' + OFFICE + '/config'));
+        assert.strictEqual(config.availability_topic, 'mrcool/availability');
+        assert.strictEqual(config.temperature_command_topic,
+            'mrcool/' + OFFICE + '/temperature/set');
+        assert.deepStrictEqual(config.modes,
+            ['off', 'auto', 'cool', 'heat', 'dry', 'fan_only']);
+        assert.strictEqual(config.temperature_unit, 'F');
+        assert.strictEqual(config.device.name, 'Office');
+        assert.deepStrictEqual(client.subscriptions, ['mrcool/+/+/set']);
+    });
+
+    it('publishes state changes and room temperatures', async () => {
+        const changed = once(api, 'stateChanged');
+        server.broadcast('actionReceivedAC', { 'macAddress': OFFICE,
+            'power': 'off', 'temp': '72', 'mode': 'cool',
+            'fanspeed': 'auto' });
+        await changed;
+        const reported = once(api, 'roomTemperature');
+        server.sendHeartBeat(OFFICE, 77);
+        await reported;
+
+        const state = JSON.parse(
+            client.retained.get('mrcool/' + OFFICE + '/state'));
+        assert.strictEqual(state.power, 'off');
+        assert.strictEqual(
+            client.retained.get('mrcool/' + OFFICE + '/room_temperature'),
+            '77');
+    });
+
+    it('carries out commands from command topics', async () => {
+        client.receive('mrcool/' + OFFICE + '/temperature/set', '68.4');
+        await once(api, 'stateChanged');
+        assert.strictEqual(api.hvacs[0].getTemperature(), 68);
+
+        client.receive('mrcool/' + OFFICE + '/mode/set', 'off');
+        await once(api, 'stateChanged');
+        assert.strictEqual(api.hvacs[0].getPower(), 'off');
+    });
+
+    it('powers on and changes the mode in one command', async () => {
+        const changed = once(api, 'stateChanged');
+        server.broadcast('actionReceivedAC', { 'macAddress': OFFICE,
+            'power': 'off', 'temp': '72', 'mode': 'cool',
+            'fanspeed': 'auto' });
+        await changed;
+
+        client.receive('mrcool/' + OFFICE + '/mode/set', 'heat');
+        await once(api, 'stateChanged');
+        assert.strictEqual(server.commands.length, 1);
+        assert.strictEqual(api.hvacs[0].getPower(), 'on');
+        assert.strictEqual(api.hvacs[0].getMode(), 'heat');
+    });
+
+    it('reports commands that fail', async () => {
+        const failed = once(bridge, 'commandFailed');
+        client.receive('mrcool/' + OFFICE + '/fan_speed/set', 'turbo');
+        const [error, topic, payload] = await failed;
+
+        assert.strictEqual(error.name, 'InvalidCommandError');
+        assert.strictEqual(topic, 'mrcool/' + OFFICE + '/fan_speed/set');
+        assert.strictEqual(payload, 'turbo');
+    });
+
+    it('rejects unknown power states and temperatures', async () => {
+        for (const [field, payload] of [['power', 'of'],
+            ['temperature', 'abc'], ['temperature', '']]) {
+            const failed = once(bridge, 'commandFailed');
+            client.receive('mrcool/' + OFFICE + '/' + field + '/set', payload);
+            const [error] = await failed;
+            assert.strictEqual(error.name, 'InvalidCommandError');
+        }
+
+        assert.strictEqual(server.commands.length, 0);
+        assert.strictEqual(api.hvacs[0].getPower(), 'on');
+    });
+
+    it('publishes offline when the connection closes', async () => {
+        await api.disconnect();
+
+        assert.strictEqual(client.retained.get('mrcool/availability'),
+            'offline');
+    });
+});
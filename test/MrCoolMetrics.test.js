@@ -0,0 +1,80 @@
+const assert = require('assert');
+const fetch = require('node-fetch');
+const { once } = require('events');
+const { MrCoolAPIConnection, MrCoolMetrics } = require('../MrCool.js');
+const { MockCieloServer } = require('./MockCieloServer.js');
+
+// Constants
+const OFFICE = 'AAAAAAAAAAAA';
+
+describe('MrCoolMetrics', () => {
+    let server;
+    let api;
+    let metrics;
+
+    beforeEach(async () => {
+        server = new MockCieloServer();
+        await server.start();
+        api = new MrCoolAPIConnection(Object.assign({ 'reconnect': false },
+            server.getConnectionOptions()));
+        await api.establishConnection('user@example.com', 'correct password');
+        await api.subscribeToHVACs([OFFICE]);
+        metrics = new MrCoolMetrics(api);
+    });
+
+    afterEach(async () => {
+        await metrics.close();
+        await api.disconnect();
+        await server.stop();
+    });
+
+    it('exports the state of each unit', () => {
+        const text = metrics.render();
+
+        const labels = '{mac="AAAAAAAAAAAA",name="Office"';
+        assert.ok(text.includes('mrcool_setpoint' + labels + '} 72\n'));
+        assert.ok(text.includes('mrcool_room_temperature' + labels + '} 74\n'));
+        assert.ok(text.includes('mrcool_power' + labels + '} 1\n'));
+        assert.ok(text.includes('mrcool_mode' + labels + ',mode="cool"} 1\n'));
+        assert.ok(text.includes('mrcool_mode' + labels + ',mode="heat"} 0\n'));
+        assert.ok(text.includes('mrcool_fan_speed' + labels
+            + ',fan_speed="auto"} 1\n'));
+        assert.ok(text.includes('# TYPE mrcool_power gauge\n'));
+    });
+
+    it('exports connection health', async () => {
+        await api.sendCommand(api.hvacs[0], 'temp', 70,
+            { 'acknowledge': true });
+        const reported = once(api, 'roomTemperature');
+        server.sendHeartBeat(OFFICE, 75);
+        await reported;
+        const text = metrics.render();
+
+        assert.ok(text.includes('mrcool_connected 1\n'));
+        assert.ok(text.includes('mrcool_commands_sent_total 1\n'));
+        assert.ok(text.includes('mrcool_commands_failed_total 0\n'));
+        assert.ok(text.includes('mrcool_reconnects_total 0\n'));
+        assert.match(text, new RegExp('mrcool_heartbeat_age_seconds'
+            + '\\{mac="AAAAAAAAAAAA",name="Office"\\} [\\d.]+\n'));
+    });
+
+    it('counts commands that are never confirmed', async () => {
+        server.acknowledgeCommands = false;
+        await api.sendCommand(api.hvacs[0], 'temp', 70, { 'timeout': 20 });
+        assert.match(metrics.render(), /mrcool_commands_failed_total 0\n/);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        assert.match(metrics.render(), /mrcool_commands_failed_total 1\n/);
+    });
+
+    it('serves the metrics over HTTP', async () => {
+        const port = await metrics.listen(0, '127.0.0.1');
+
+        const response = await fetch('http://127.0.0.1:' + port + '/metrics');
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain/);
+        assert.match(await response.text(), /mrcool_setpoint/);
+        const missing = await fetch('http://127.0.0.1:' + port + '/other');
+        assert.strictEqual(missing.status, 404);
+    });
+});
@@ -0,0 +1,233 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MrCoolAPIConnection,
+    MrCoolScheduler,
+    MrCoolGroup,
+    InvalidScheduleError,
+    DeviceNotFoundError
+} = require('../MrCool.js');
+const { MockCieloServer } = require('./MockCieloServer.js');
+
+describe('MrCoolScheduler', () => {
+    describe('rules', () => {
+        it('parses schedule strings', () => {
+            const scheduler = new MrCoolScheduler(undefined,
+                { 'rules': ['weekdays 06:30 heat 70'] });
+
+            // Friday evening runs next on Monday morning
+            const [{ rule, date }] = scheduler.getNextRuns(
+                new Date(2024, 0, 5, 18, 0));
+            assert.strictEqual(rule.id, 'rule-1');
+            assert.deepStrictEqual(date, new Date(2024, 0, 8, 6, 30));
+        });
+
+        it('accepts day lists and ranges that wrap around', () => {
+            const scheduler = new MrCoolScheduler();
+            scheduler.addRule({ 'id': 'weekend', 'days': 'fri-sun',
+                'time': '22:00', 'state': { 'power': 'off' } });
+
+            const runs = [];
+            let from = new Date(2024, 0, 1);
+            for (let i = 0; i < 3; i++) {
+                from = scheduler.getNextRuns(from)[0].date;
+                runs.push(from.getDay());
+            }
+            assert.deepStrictEqual(runs, [5, 6, 0]);
+        });
+
+        it('rejects rules it cannot understand', () => {
+            const scheduler = new MrCoolScheduler();
+            assert.throws(() => scheduler.addRule('weekdays 6:30'),
+                InvalidScheduleError);
+            assert.throws(() => scheduler.addRule('someday 06:30 heat'),
+                InvalidScheduleError);
+            assert.throws(() => scheduler.addRule('daily 25:00 heat'),
+                InvalidScheduleError);
+            assert.throws(() => scheduler.addRule('daily 06:30 warm'),
+                InvalidScheduleError);
+            assert.throws(() => scheduler.addRule({ 'days': 'daily',
+                'time': '06:30', 'state': { 'colour': 'red' } }),
+            InvalidScheduleError);
+        });
+
+        it('saves and loads definition files', async () => {
+            const filePath = path.join(os.tmpdir(), 'mrcool-schedule-'
+                + process.pid + '.json');
+            const scheduler = new MrCoolScheduler(undefined, {
+                'groups': { 'upstairs': ['Office'] },
+                'rules': [{ 'id': 'morning', 'group': 'upstairs',
+                    'schedule': 'weekdays 06:30 heat 70' }]
+            });
+            try {
+                await scheduler.save(filePath);
+                const loaded = await MrCoolScheduler.load(undefined, filePath);
+
+                assert.deepStrictEqual(loaded.getGroups(),
+                    scheduler.getGroups());
+                assert.deepStrictEqual(loaded.getRules(),
+                    scheduler.getRules());
+            } finally {
+                fs.unlinkSync(filePath);
+            }
+        });
+
+        it('does not reuse generated ids after loading', async () => {
+            const filePath = path.join(os.tmpdir(), 'mrcool-schedule-'
+                + process.pid + '.json');
+            const scheduler = new MrCoolScheduler(undefined,
+                { 'rules': ['weekdays 06:30 heat 70'] });
+            try {
+                await scheduler.save(filePath);
+                const loaded = await MrCoolScheduler.load(undefined, filePath);
+                const rule = loaded.addRule('weekends 08:00 heat 68');
+
+                assert.strictEqual(rule.id, 'rule-2');
+            } finally {
+                fs.unlinkSync(filePath);
+            }
+        });
+    });
+
+    describe('daylight saving time', () => {
+        let timeZone;
+
+        before(() => {
+            timeZone = process.env.TZ;
+            process.env.TZ = 'America/New_York';
+        });
+
+        after(() => {
+            if (timeZone === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = timeZone;
+            }
+        });
+
+        it('keeps the local time across a change', () => {
+            const scheduler = new MrCoolScheduler(undefined,
+                { 'rules': ['daily 06:30 cool 74'] });
+
+            // Clocks went forward at 02:00 on March 10, 2024
+            const before = scheduler.getNextRuns(
+                new Date(2024, 2, 8, 12, 0))[0].date;
+            const after = scheduler.getNextRuns(before)[0].date;
+            assert.deepStrictEqual([before.getHours(), before.getMinutes()],
+                [6, 30]);
+            assert.deepStrictEqual([after.getHours(), after.getMinutes()],
+                [6, 30]);
+            assert.strictEqual(after - before, 23 * 60 * 60 * 1000);
+        });
+
+        it('runs a time skipped by the change once clocks go forward', () => {
+            const scheduler = new MrCoolScheduler(undefined,
+                { 'rules': ['daily 02:30 off'] });
+
+            const skipped = scheduler.getNextRuns(
+                new Date(2024, 2, 10, 0, 0))[0].date;
+            assert.strictEqual(skipped.getDate(), 10);
+            assert.strictEqual(skipped.getHours(), 3);
+            assert.strictEqual(scheduler.getNextRuns(skipped)[0].date
+                .getDate(), 11);
+        });
+
+        it('runs a repeated time once when clocks go back', () => {
+            const scheduler = new MrCoolScheduler(undefined,
+                { 'rules': ['daily 01:30 off'] });
+
+            // Clocks went back at 02:00 on November 3, 2024
+            const first = scheduler.getNextRuns(
+                new Date(2024, 10, 3, 0, 0))[0].date;
+            const next = scheduler.getNextRuns(first)[0].date;
+            assert.strictEqual(first.getDate(), 3);
+            assert.strictEqual(next.getDate(), 4);
+        });
+    });
+
+    describe('runRule', () => {
+        let server;
+        let api;
+
+        beforeEach(async () => {
+            server = new MockCieloServer();
+            await server.start();
+            api = new MrCoolAPIConnection(Object.assign({ 'reconnect': false },
+                server.getConnectionOptions()));
+            await api.establishConnection('user@example.com',
+                'correct password');
+            await api.subscribeToHVACs();
+        });
+
+        afterEach(async () => {
+            await api.disconnect();
+            await server.stop();
+        });
+
+        it('changes the settings of every unit in the group', async () => {
+            const scheduler = new MrCoolScheduler(api, {
+                'groups': { 'all': ['Office', 'bedroom'] },
+                'rules': [{ 'id': 'evening', 'group': 'all',
+                    'schedule': 'daily 18:00 heat 68 fanspeed=low' }]
+            });
+            const fired = [];
+            scheduler.on('ruleFired', (rule, hvac, state) =>
+                fired.push([rule.id, hvac.getDeviceName(), state.mode]));
+            await scheduler.runRule('evening');
+
+            assert.deepStrictEqual(fired.sort(), [
+                ['evening', 'Bedroom', 'heat'],
+                ['evening', 'Office', 'heat']
+            ]);
+            assert.strictEqual(api.getHVAC('Office').getFanSpeed(), 'low');
+        });
+
+        it('runs rules through a MrCoolGroup', async () => {
+            const group = MrCoolGroup.fromUnits(api, 'Work', ['Office']);
+            const scheduler = new MrCoolScheduler(api, { 'rules': [
+                { 'id': 'work', 'group': 'work',
+                    'schedule': 'weekdays 08:00 cool 74' }
+            ] });
+            scheduler.setGroup('work', group);
+            const fired = [];
+            scheduler.on('ruleFired', (rule, hvac) => fired.push(hvac));
+            await scheduler.runRule('work');
+
+            assert.deepStrictEqual(fired, group.getHVACs());
+            assert.strictEqual(group.getSummary(), 'all cooling');
+            assert.deepStrictEqual(scheduler.getGroups(),
+                { 'work': ['AAAAAAAAAAAA'] });
+        });
+
+        it('reports units that are not subscribed', async () => {
+            const scheduler = new MrCoolScheduler(api, { 'rules': [
+                { 'id': 'garage', 'units': ['Garage'],
+                    'schedule': 'daily 18:00 off' }
+            ] });
+            const failures = [];
+            scheduler.on('ruleFailed', (rule, hvac, error) =>
+                failures.push(error));
+            await scheduler.runRule('garage');
+
+            assert.strictEqual(failures.length, 1);
+            assert.ok(failures[0] instanceof DeviceNotFoundError);
+            assert.strictEqual(server.commands.length, 0);
+        });
+
+        it('reports settings a unit rejects', async () => {
+            const scheduler = new MrCoolScheduler(api, { 'rules': [
+                { 'id': 'hot', 'units': ['Office'],
+                    'schedule': 'daily 18:00 heat 99' }
+            ] });
+            const failures = [];
+            scheduler.on('ruleFailed', (rule, hvac, error) =>
+                failures.push([hvac.getDeviceName(), error.name]));
+            await scheduler.runRule('hot');
+
+            assert.deepStrictEqual(failures,
+                [['Office', 'InvalidCommandError']]);
+        });
+    });
+});
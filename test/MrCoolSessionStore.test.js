@@ -0,0 +1,72 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileSessionStore } = require('../MrCoolSessionStore.js');
+
+describe('FileSessionStore', () => {
+    let directory;
+    let store;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrcool-test-'));
+        store = new FileSessionStore(path.join(directory, 'mrcool',
+            'sessions.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { 'recursive': true, 'force': true });
+    });
+
+    it('loads nothing before anything is saved', async () => {
+        assert.strictEqual(await store.load('user'), undefined);
+    });
+
+    it('saves sessions to a file only its owner can read', async () => {
+        await store.save('first', { 'sessionID': '1' });
+        await store.save('second', { 'sessionID': '2' });
+
+        const reopened = new FileSessionStore(store.getFilePath());
+        assert.deepStrictEqual(await reopened.load('first'),
+            { 'sessionID': '1' });
+        assert.deepStrictEqual(await reopened.load('second'),
+            { 'sessionID': '2' });
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(store.getFilePath()).mode & 0o077,
+                0);
+        }
+    });
+
+    it('keeps every session saved at the same time', async () => {
+        await Promise.all([
+            store.save('first', { 'sessionID': '1' }),
+            store.save('second', { 'sessionID': '2' }),
+            new FileSessionStore(store.getFilePath())
+                .save('third', { 'sessionID': '3' })
+        ]);
+
+        assert.deepStrictEqual(await store.load('first'),
+            { 'sessionID': '1' });
+        assert.deepStrictEqual(await store.load('second'),
+            { 'sessionID': '2' });
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(
+            store.getFilePath())), ['sessions.json']);
+    });
+
+    it('clears a session', async () => {
+        await store.save('first', { 'sessionID': '1' });
+        await store.clear('first');
+
+        assert.strictEqual(await store.load('first'), undefined);
+    });
+
+    it('treats an unreadable file as empty', async () => {
+        fs.mkdirSync(path.dirname(store.getFilePath()));
+        fs.writeFileSync(store.getFilePath(), 'not json');
+
+        assert.strictEqual(await store.load('first'), undefined);
+        await store.save('first', { 'sessionID': '1' });
+        assert.deepStrictEqual(await store.load('first'),
+            { 'sessionID': '1' });
+    });
+});
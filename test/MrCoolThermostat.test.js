@@ -0,0 +1,156 @@
+const assert = require('assert');
+const { MrCoolHVAC, MrCoolThermostat } = require('../MrCool.js');
+
+/**
+ * Stands in for a connection, applying changes to the HVAC right away
+ */
+class FakeAPI {
+    changes = [];
+    fail = false;
+
+    async sendChanges(hvac, changes) {
+        if (this.fail) throw new Error('Unit unreachable');
+        this.changes.push(changes);
+        const state = Object.assign(hvac.getState(), changes);
+        hvac.updateState(state.power, String(state.temp ?? state.temperature),
+            state.mode, state.fanspeed ?? state.fanSpeed);
+        return hvac.getState();
+    }
+}
+
+/**
+ * Waits for the given number of milliseconds
+ *
+ * @param {number} milliseconds How long to wait
+ * @returns {Promise<void>}
+ */
+function sleep(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+describe('MrCoolThermostat', () => {
+    let hvac;
+    let api;
+    let thermostat;
+
+    beforeEach(() => {
+        hvac = new MrCoolHVAC('AAAAAAAAAAAA', 'Office', 1, '1.0.0');
+        hvac.updateState('off', '70', 'heat', 'auto');
+        hvac.updateRoomTemperature('70');
+        api = new FakeAPI();
+    });
+
+    afterEach(() => {
+        thermostat.stop();
+    });
+
+    /**
+     * Creates and starts a thermostat for the HVAC
+     *
+     * @param {any} options Thermostat options
+     * @returns {MrCoolThermostat}
+     */
+    function start(options) {
+        thermostat = new MrCoolThermostat(hvac, api, Object.assign({
+            'target': 70, 'minOnTime': 0, 'minOffTime': 0
+        }, options));
+        thermostat.start();
+        return thermostat;
+    }
+
+    it('switches the unit on and off around the target', async () => {
+        start({ 'hysteresis': 1 });
+        const calls = [];
+        thermostat.on('calling', (calling) => calls.push(calling));
+
+        thermostat.report(69.5);
+        thermostat.report(68.9);
+        await sleep(0);
+        thermostat.report(70.5);
+        thermostat.report(71);
+        await sleep(0);
+
+        assert.deepStrictEqual(calls, [true, false]);
+        assert.deepStrictEqual(api.changes, [
+            { 'power': 'on', 'mode': 'heat', 'temp': 70 },
+            { 'power': 'off' }
+        ]);
+        assert.strictEqual(hvac.getTemperature(), '70');
+    });
+
+    it('cools when the room is warm', async () => {
+        start({ 'mode': 'cool' });
+        thermostat.report(72);
+        await sleep(0);
+
+        assert.deepStrictEqual(api.changes,
+            [{ 'power': 'on', 'mode': 'cool', 'temp': 70 }]);
+    });
+
+    it('waits for the minimum off time before switching on', async () => {
+        start({ 'minOffTime': 50 });
+        thermostat.report(65);
+        await sleep(0);
+        thermostat.report(75);
+        await sleep(0);
+        thermostat.report(65);
+        await sleep(0);
+        assert.strictEqual(api.changes.length, 2);
+
+        await sleep(80);
+        assert.strictEqual(api.changes.length, 3);
+        assert.strictEqual(hvac.getPower(), 'on');
+    });
+
+    it('moves the setpoint instead of switching the power', async () => {
+        start({ 'control': 'setpoint', 'setpointOffset': 5 });
+        thermostat.report(65);
+        await sleep(0);
+        thermostat.report(75);
+        await sleep(0);
+
+        assert.deepStrictEqual(api.changes.map((changes) => changes.temp),
+            [75, 65]);
+        assert.ok(api.changes.every((changes) => changes.power === 'on'));
+    });
+
+    it('falls back to the unit\'s sensor when readings go stale',
+        async () => {
+            start({ 'staleAfter': 20 });
+            const events = [];
+            thermostat.on('sensorStale', () => events.push('stale'));
+            thermostat.on('sensorRestored', () => events.push('restored'));
+            thermostat.report(65);
+            await sleep(40);
+            hvac.updateRoomTemperature('75');
+            await sleep(0);
+
+            assert.strictEqual(hvac.getPower(), 'off');
+            assert.deepStrictEqual(thermostat.getTemperature(),
+                { 'temperature': 75, 'source': 'unit' });
+            thermostat.report(65);
+            assert.deepStrictEqual(events, ['stale', 'restored']);
+        });
+
+    it('polls a source callback', async () => {
+        start({ 'source': async () => 60 });
+        await sleep(0);
+
+        assert.strictEqual(thermostat.isCalling(), true);
+    });
+
+    it('reports failed commands and tries again', async () => {
+        start();
+        const failures = [];
+        thermostat.on('controlFailed', (error) => failures.push(error));
+        api.fail = true;
+        thermostat.report(65);
+        await sleep(0);
+        api.fail = false;
+        thermostat.report(65);
+        await sleep(0);
+
+        assert.strictEqual(failures.length, 1);
+        assert.strictEqual(hvac.getPower(), 'on');
+    });
+});
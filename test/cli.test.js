@@ -0,0 +1,121 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../bin/mrcool.js');
+const { MockCieloServer } = require('./MockCieloServer.js');
+
+/**
+ * Collects everything written to it
+ */
+class Output {
+    text = '';
+
+    write(chunk) {
+        this.text += chunk;
+    }
+}
+
+describe('mrcool', () => {
+    let server;
+    let configPath;
+    let stdout;
+    let stderr;
+
+    beforeEach(async () => {
+        server = new MockCieloServer();
+        await server.start();
+        configPath = path.join(os.tmpdir(), 'mrcool-test-' + process.pid
+            + '.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            'ip': '127.0.0.1',
+            'connection': server.getConnectionOptions()
+        }));
+        stdout = new Output();
+        stderr = new Output();
+    });
+
+    afterEach(async () => {
+        fs.unlinkSync(configPath);
+        await server.stop();
+    });
+
+    /**
+     * Runs the tool against the mock server
+     *
+     * @param {string[]} argv The arguments
+     * @param {any} env Environment variables to use instead of credentials
+     * @returns {Promise<number>} The exit code
+     */
+    function run(argv, env = {}) {
+        return main(argv.concat(['--config', configPath]), {
+            'env': Object.assign({
+                'MRCOOL_USERNAME': 'user@example.com',
+                'MRCOOL_PASSWORD': 'correct password'
+            }, env),
+            'stdout': stdout,
+            'stderr': stderr
+        });
+    }
+
+    it('lists devices as JSON', async () => {
+        assert.strictEqual(await run(['devices', '--json']), 0);
+
+        const devices = JSON.parse(stdout.text);
+        assert.deepStrictEqual(devices.map((device) => device.deviceName),
+            ['Office', 'Bedroom']);
+    });
+
+    it('shows the status of a unit by name', async () => {
+        assert.strictEqual(await run(['status', 'bedroom', '--json']), 0);
+
+        const [status] = JSON.parse(stdout.text);
+        assert.strictEqual(status.macAddress, 'BBBBBBBBBBBB');
+        assert.strictEqual(status.roomTemperature, 74);
+    });
+
+    it('changes a unit\'s settings', async () => {
+        assert.strictEqual(await run(['set', 'AAAAAAAAAAAA', '--mode', 'heat',
+            '--temp', '68', '--json']), 0);
+
+        const status = JSON.parse(stdout.text);
+        assert.strictEqual(status.mode, 'heat');
+        assert.strictEqual(status.temperature, '68');
+        assert.strictEqual(server.commands.length, 1);
+    });
+
+    it('records the traffic to a capture file', async () => {
+        const capturePath = configPath + '.capture.jsonl';
+        try {
+            assert.strictEqual(await run(['status', 'office',
+                '--capture', capturePath]), 0);
+
+            const capture = fs.readFileSync(capturePath, 'utf8');
+            assert.match(capture, /"type":"request"/);
+            assert.ok(!capture.includes('correct password'));
+        } finally {
+            fs.rmSync(capturePath, { 'force': true });
+        }
+    });
+
+    it('fails with invalid settings', async () => {
+        assert.strictEqual(await run(['set', 'Office', '--mode', 'cooling']),
+            2);
+        assert.match(stderr.text, /Invalid mode/);
+        assert.strictEqual(server.commands.length, 0);
+    });
+
+    it('fails with an unknown unit', async () => {
+        assert.strictEqual(await run(['status', 'Garage']), 4);
+    });
+
+    it('fails with a wrong password', async () => {
+        assert.strictEqual(await run(['devices'],
+            { 'MRCOOL_PASSWORD': 'wrong' }), 3);
+    });
+
+    it('fails with an unknown command', async () => {
+        assert.strictEqual(await run(['explode']), 2);
+        assert.match(stderr.text, /Usage/);
+    });
+});